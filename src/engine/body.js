@@ -0,0 +1,192 @@
+import { Vec3, Quaternion, Mat3 } from './math.js';
+import { shapeInertia } from './shapes.js';
+
+// --- Rigid Body ---
+// Front-ends attach their own render object (e.g. `body.mesh`) and read
+// position/orientation back after each world step; the engine never touches it.
+export class RigidBody {
+  constructor(position, shape, mass) {
+    this.id = null;
+    this.position = position.copy();
+    this.velocity = Vec3.zero();
+    this.force = Vec3.zero();
+    this.shape = shape;
+    this.restitution = 0.4;
+    // Sliding friction; static friction (null: the same) holds a contact
+    // that isn't slipping yet, and rolling friction resists rolling over it
+    this.friction = 0.3;
+    this.staticFriction = null;
+    this.rollingFriction = 0;
+    this.angularVelocity = Vec3.zero();
+    this.orientation = Quaternion.identity();
+    this.torque = Vec3.zero();
+    this.setMass(mass);
+    this.isSun = false;
+    this.magneticCharge = 0;
+    this.fluidDensity = 0.5;
+    // Name of the material (see materials.js) the surface values came from
+    this.materialType = 'custom';
+    this.linearDamping = 0.01;
+    this.angularDamping = 0.05;
+    // Two bodies collide only if each one's group is in the other's mask
+    // (16 bits each). A trigger reports overlaps but never pushes back, nor
+    // touches the world's walls.
+    this.collisionGroup = 1;
+    this.collisionMask = 0xFFFF;
+    this.isTrigger = false;
+    // A kinematic body is static to everything it touches but still moves
+    // with its velocity, which nothing but the front-end (or `motion`) changes.
+    // `motion` { origin, offset, period, t } swings it between origin ± offset
+    // every `period` seconds; `t` is how far into the swing it is.
+    this.kinematic = false;
+    this.motion = null;
+    // Continuous collision: sweep fast moves so the body can't pass through
+    // thin things between steps (see PhysicsWorld.sweep)
+    this.ccd = false;
+    // Split-impulse position correction; cleared after every position update
+    this.pseudoVelocity = Vec3.zero();
+    this.pseudoAngularVelocity = Vec3.zero();
+    this.sleeping = false;
+    this.sleepTimer = 0;
+    this.sleepIsland = null;
+    this.previousPosition = null;
+    this.previousOrientation = null;
+  }
+
+  // Mass 0 makes the body static (infinite mass and inertia)
+  setMass(mass) {
+    this.mass = mass;
+    this.invMass = mass>0 ? 1/mass : 0;
+    this.inertiaTensor = shapeInertia(this.shape, mass);
+    this.invInertiaTensor = mass>0 ? this.inertiaTensor.invert() : Mat3.diagonal(0, 0, 0);
+    this.updateInertiaWorld();
+  }
+
+  makeStatic() {
+    this.invMass = 0;
+    this.invInertiaTensor = Mat3.diagonal(0, 0, 0);
+    this.updateInertiaWorld();
+  }
+
+  // Static, but moved along `motion` (if given) each step
+  makeKinematic(motion = null) {
+    this.makeStatic();
+    this.kinematic = true;
+    this.motion = motion && { t: 0, ...motion };
+  }
+
+  // Velocity that puts a kinematic body back on its `motion` path after `dt`
+  followMotion(dt) {
+    const m = this.motion;
+    m.t += dt;
+    const target = m.origin.add(m.offset.mul(Math.sin(2 * Math.PI * m.t / m.period)));
+    this.velocity = target.sub(this.position).mul(1 / dt);
+    this.angularVelocity = Vec3.zero();
+  }
+
+  // Recompute the world-space inverse inertia: R * I^-1 * R^T
+  updateInertiaWorld() {
+    const r = Mat3.fromQuaternion(this.orientation);
+    this.invInertiaWorld = r.multiply(this.invInertiaTensor).multiply(r.transpose());
+  }
+
+  // Velocity of a world-space point rigidly attached to the body
+  pointVelocity(point) {
+    return this.velocity.add(this.angularVelocity.cross(point.sub(this.position)));
+  }
+
+  applyForce(f) {
+    this.force = this.force.add(f);
+  }
+
+  applyTorque(t) {
+    this.torque = this.torque.add(t);
+  }
+
+  // Instantaneous impulse at a world-space point; off-centre impulses also spin the body.
+  // Wakes a sleeping body.
+  applyImpulse(impulse, point = this.position) {
+    if(this.invMass===0) return;
+    if(this.sleeping) this.wake();
+    this.velocity = this.velocity.add(impulse.mul(this.invMass));
+    const r = point.sub(this.position);
+    this.angularVelocity = this.angularVelocity.add(this.invInertiaWorld.multiplyVec(r.cross(impulse)));
+  }
+
+  // Inverse effective mass along `dir` for an impulse at `point`:
+  // 1/m + dir . ((I^-1 (r x dir)) x r)
+  inverseMassAlong(point, dir) {
+    if(this.invMass===0) return 0;
+    const r = point.sub(this.position);
+    const rxd = r.cross(dir);
+    return this.invMass + this.invInertiaWorld.multiplyVec(rxd).cross(r).dot(dir);
+  }
+
+  // Pose at the start of the current fixed step, for render interpolation
+  savePreviousState() {
+    this.previousPosition = this.position.copy();
+    this.previousOrientation = this.orientation.copy();
+  }
+
+  // Pose `alpha` of the way from the previous fixed step to the current one
+  interpolatedState(alpha) {
+    if (!this.previousPosition) return { position: this.position, orientation: this.orientation };
+    return {
+      position: this.previousPosition.add(this.position.sub(this.previousPosition).mul(alpha)),
+      orientation: this.previousOrientation.slerp(this.orientation, alpha)
+    };
+  }
+
+  // Put the body (and the island it fell asleep with) back into the simulation
+  wake() {
+    const island = this.sleepIsland ?? [this];
+    for (const b of island) {
+      b.sleeping = false;
+      b.sleepTimer = 0;
+      b.sleepIsland = null;
+    }
+  }
+
+  sleep(island = null) {
+    this.sleeping = true;
+    this.sleepIsland = island;
+    this.velocity = Vec3.zero();
+    this.angularVelocity = Vec3.zero();
+  }
+
+  // Forces and torques into velocities, then damping. Accumulators are cleared
+  // even for static or sleeping bodies so nothing builds up while they rest.
+  integrateVelocity(dt) {
+    if(this.invMass!==0 && !this.sleeping) {
+      this.velocity = this.velocity.add(this.force.mul(dt * this.invMass));
+      this.angularVelocity = this.angularVelocity.add(this.invInertiaWorld.multiplyVec(this.torque).mul(dt));
+      this.velocity = this.velocity.mul(1 / (1 + dt * this.linearDamping));
+      this.angularVelocity = this.angularVelocity.mul(1 / (1 + dt * this.angularDamping));
+    }
+    this.force = Vec3.zero();
+    this.torque = Vec3.zero();
+  }
+
+  // Velocities (plus any split-impulse pseudo velocity) into position and orientation
+  integratePosition(dt) {
+    if((this.invMass===0 && !this.kinematic) || this.sleeping) return;
+    const v = this.velocity.add(this.pseudoVelocity);
+    const w = this.angularVelocity.add(this.pseudoAngularVelocity);
+    this.position = this.position.add(v.mul(dt));
+
+    const angle = w.length() * dt;
+    if (angle > 0.0001) {
+      const rotation = Quaternion.fromAxisAngle(w.normalize(), angle);
+      this.orientation = rotation.multiply(this.orientation).normalize();
+    }
+    this.updateInertiaWorld();
+
+    this.pseudoVelocity = Vec3.zero();
+    this.pseudoAngularVelocity = Vec3.zero();
+  }
+
+  integrate(dt) {
+    this.integrateVelocity(dt);
+    this.integratePosition(dt);
+  }
+}
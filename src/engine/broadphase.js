@@ -0,0 +1,97 @@
+import { Vec3 } from './math.js';
+import { shapeAABB } from './shapes.js';
+
+// --- Broadphase: sweep and prune ---
+// Bodies are inserted by their world AABB (not their centre), kept sorted along
+// the axis with the largest spread, and swept once per step. Between steps the
+// order barely changes, so re-sorting is an insertion sort over a nearly
+// sorted list: close to O(n + pairs) for piles of thousands of bodies.
+const AXES = ['x', 'y', 'z'];
+
+export class SweepAndPrune {
+  // `margin` fattens every AABB so near-touching bodies still pair up
+  constructor(margin = 0) {
+    this.margin = margin;
+    this.sorted = [];
+    this.axis = 'x';
+    // Last update's pairs, kept for debug views
+    this.pairs = [];
+    this.pairCount = 0;
+  }
+
+  // Returns [a, b] pairs whose AABBs overlap; refreshes `body.aabb` on the way
+  update(bodies) {
+    const alive = new Set(bodies);
+    const known = new Set(this.sorted);
+    this.sorted = this.sorted.filter(b => alive.has(b));
+    for (const b of bodies) if (!known.has(b)) this.sorted.push(b);
+
+    for (const b of this.sorted) b.aabb = fatten(shapeAABB(b.shape, b.position, b.orientation), this.margin);
+    const switched = this.chooseAxis();
+    const axis = this.axis;
+    const byMin = (a, b) => a.aabb.min[axis] - b.aabb.min[axis];
+    if (switched) this.sorted.sort(byMin);
+    else insertionSort(this.sorted, byMin);
+
+    const pairs = [];
+    const list = this.sorted;
+    for (let i = 0; i < list.length; i++) {
+      const a = list[i];
+      const maxA = a.aabb.max[axis];
+      for (let j = i + 1; j < list.length; j++) {
+        const b = list[j];
+        if (b.aabb.min[axis] > maxA) break;
+        if (a.invMass === 0 && b.invMass === 0) continue;
+        if (overlaps(a.aabb, b.aabb)) pairs.push([a, b]);
+      }
+    }
+    this.pairs = pairs;
+    this.pairCount = pairs.length;
+    return pairs;
+  }
+
+  // Sweep along the axis where body centres are most spread out. Only switch
+  // for a clear winner, since a switch costs a full re-sort.
+  chooseAxis() {
+    const n = this.sorted.length;
+    if (n < 2) return false;
+    const variances = {};
+    for (const axis of AXES) {
+      let sum = 0, sumSq = 0;
+      for (const b of this.sorted) {
+        const c = (b.aabb.min[axis] + b.aabb.max[axis]) / 2;
+        sum += c;
+        sumSq += c * c;
+      }
+      variances[axis] = sumSq / n - (sum / n) ** 2;
+    }
+    const best = AXES.reduce((m, axis) => variances[axis] > variances[m] ? axis : m, this.axis);
+    if (variances[best] <= variances[this.axis] * 1.5) return false;
+    this.axis = best;
+    return true;
+  }
+}
+
+export function overlaps(a, b) {
+  return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+         a.min.y <= b.max.y && a.max.y >= b.min.y &&
+         a.min.z <= b.max.z && a.max.z >= b.min.z;
+}
+
+function fatten(aabb, margin) {
+  if (margin === 0) return aabb;
+  const m = new Vec3(margin, margin, margin);
+  return { min: aabb.min.sub(m), max: aabb.max.add(m) };
+}
+
+function insertionSort(list, compare) {
+  for (let i = 1; i < list.length; i++) {
+    const item = list[i];
+    let j = i - 1;
+    while (j >= 0 && compare(list[j], item) > 0) {
+      list[j + 1] = list[j];
+      j--;
+    }
+    list[j + 1] = item;
+  }
+}
@@ -0,0 +1,56 @@
+import { Vec3 } from './math.js';
+import { BoxShape, CompoundShape, ConvexHullShape, hullIntegrals, shapeVolume } from './shapes.js';
+import { convexHull, extremePoints } from './hull.js';
+
+// --- Generated colliders ---
+// Colliders for imported meshes. `parts` holds one array of model-space
+// points (Vec3) per mesh of the model:
+//   'box'       one bounding box around everything
+//   'hull'      convex hull of all points, with at most `maxVertices` corners
+//   'compound'  one bounding box per mesh
+// Bodies turn about their origin, so every collider is re-centred on its
+// centre of mass; the returned `center` is where that lies in model space,
+// for the renderer to offset the model by.
+export const COLLIDER_TYPES = ['box', 'hull', 'compound'];
+
+// Thinnest half-size a generated box may have, so flat models keep some mass
+const MIN_HALF_EXTENT = 0.02;
+
+function boundingBox(points) {
+  const min = points[0].copy(), max = points[0].copy();
+  for (const p of points) {
+    min.set(Math.min(min.x, p.x), Math.min(min.y, p.y), Math.min(min.z, p.z));
+    max.set(Math.max(max.x, p.x), Math.max(max.y, p.y), Math.max(max.z, p.z));
+  }
+  const half = max.sub(min).mul(0.5);
+  half.set(Math.max(half.x, MIN_HALF_EXTENT), Math.max(half.y, MIN_HALF_EXTENT), Math.max(half.z, MIN_HALF_EXTENT));
+  return { shape: new BoxShape(0, half), center: min.add(max).mul(0.5) };
+}
+
+// { shape, center } for the model; flat models fall back from a hull to a box
+export function generateCollider(parts, { type = 'hull', maxVertices = 64 } = {}) {
+  parts = parts.filter(points => points.length);
+  const all = parts.flat();
+  if (!all.length) throw new Error('The model has no vertices');
+
+  if (type === 'box') return boundingBox(all);
+  if (type === 'compound') {
+    const boxes = parts.map(boundingBox);
+    let total = 0, center = Vec3.zero();
+    for (const box of boxes) {
+      const volume = shapeVolume(box.shape);
+      total += volume;
+      center = center.add(box.center.mul(volume));
+    }
+    center = center.mul(1 / total);
+    return { shape: new CompoundShape(boxes.map(box => ({ shape: box.shape, offset: box.center.sub(center) }))), center };
+  }
+  if (type === 'hull') {
+    const corners = convexHull(extremePoints(all, maxVertices));
+    if (!corners) return boundingBox(all);
+    const hull = new ConvexHullShape(corners.vertices);
+    const center = hullIntegrals(hull).centroid;
+    return { shape: new ConvexHullShape(hull.vertices.map(v => v.sub(center))), center };
+  }
+  throw new Error(`Unknown collider type: ${type}`);
+}
@@ -0,0 +1,102 @@
+import { Vec3 } from './math.js';
+import { createShape } from './shapes.js';
+import { RigidBody } from './body.js';
+
+// --- Emitters ---
+// Spawn a body `rate` times a second at `position`, launched at `velocity`
+// turned by up to about `spread` radians at random (from `world.random`, so a
+// run replays). `body` describes what comes out: { shape, mass, material
+// (a name in the world's library, skipped if it has gone since), friction,
+// restitution, ...front-end fields such as color }. Emitted bodies older than
+// `lifetime` seconds (0: never) go again, and so does the oldest once there
+// are more than `maxBodies`. The world emits 'spawn' and 'despawn' with
+// { body, emitter } for front-ends to add and drop render objects.
+
+const toVec3 = v => Array.isArray(v) ? Vec3.fromArray(v) : new Vec3(v.x, v.y, v.z);
+
+export class Emitter {
+  // Options as above, plus `timer` and `emitted` as written by `toJSON`
+  constructor(options = {}, bodies = []) {
+    this.position = options.position ? toVec3(options.position) : Vec3.zero();
+    this.velocity = options.velocity ? toVec3(options.velocity) : new Vec3(0, 5, 0);
+    this.rate = options.rate ?? 2;
+    this.spread = options.spread ?? 0.2;
+    this.lifetime = options.lifetime ?? 10;
+    this.maxBodies = options.maxBodies ?? 50;
+    this.body = options.body ?? { shape: { type: 'sphere', radius: 0.3 }, mass: 1 };
+    // Time towards the next spawn
+    this.timer = options.timer ?? 0;
+    // [{ body, age }], oldest first
+    this.emitted = (options.emitted ?? []).map(([i, age]) => ({ body: bodies[i], age })).filter(e => e.body);
+  }
+
+  update(world, dt) {
+    if (this.emitted.length) {
+      const alive = new Set(world.bodies);
+      this.emitted = this.emitted.filter(e => alive.has(e.body));
+    }
+    for (const e of this.emitted) e.age += dt;
+    while (this.emitted.length && this.lifetime > 0 && this.emitted[0].age >= this.lifetime) this.despawn(world);
+    if (this.rate > 0) {
+      this.timer += dt;
+      while (this.timer >= 1 / this.rate) {
+        this.timer -= 1 / this.rate;
+        this.spawn(world);
+      }
+    }
+    while (this.emitted.length > this.maxBodies) this.despawn(world);
+  }
+
+  spawn(world) {
+    const desc = this.body;
+    const body = new RigidBody(this.position, createShape(desc.shape), desc.mass ?? 1);
+    if (desc.material && world.materials.get(desc.material)) world.materials.apply(body, desc.material);
+    if (desc.friction !== undefined) body.friction = desc.friction;
+    if (desc.restitution !== undefined) body.restitution = desc.restitution;
+    const speed = this.velocity.length();
+    if (speed > 0) {
+      const r = world.random;
+      const jitter = new Vec3(r.next() - 0.5, r.next() - 0.5, r.next() - 0.5).mul(2 * this.spread);
+      body.velocity = this.velocity.mul(1 / speed).add(jitter).normalize().mul(speed);
+    }
+    world.addBody(body);
+    this.emitted.push({ body, age: 0 });
+    world.emit('spawn', { body, emitter: this });
+    return body;
+  }
+
+  // Remove the oldest emitted body
+  despawn(world) {
+    const { body } = this.emitted.shift();
+    world.removeBody(body);
+    world.emit('despawn', { body, emitter: this });
+  }
+
+  // Bounds of the nozzle, for picking and waking
+  bounds() {
+    const h = new Vec3(0.5, 0.5, 0.5);
+    return { min: this.position.sub(h), max: this.position.add(h) };
+  }
+
+  // `bodyIndex(body)` gives a body's place in the scene file
+  toJSON(bodyIndex) {
+    return {
+      position: this.position.toArray(),
+      velocity: this.velocity.toArray(),
+      rate: this.rate,
+      spread: this.spread,
+      lifetime: this.lifetime,
+      maxBodies: this.maxBodies,
+      body: this.body,
+      timer: this.timer,
+      // Bodies removed from the world since the last step are left out
+      emitted: this.emitted.map(e => [bodyIndex(e.body), e.age]).filter(([i]) => i >= 0)
+    };
+  }
+}
+
+// Emitter from a description; with `bodies`, the `emitted` entries (as
+// written by `toJSON`) are indices into it
+export function createEmitter(desc, bodies = []) {
+  return new Emitter(desc, bodies);
+}
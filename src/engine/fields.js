@@ -0,0 +1,213 @@
+import { Vec3 } from './math.js';
+import { shapeAABB, shapeVolume } from './shapes.js';
+
+// --- Force fields ---
+// Placeable regions that push on the dynamic bodies inside them every step,
+// on top of the world's gravity. Fields with `halfExtents` (wind, water) fill
+// that box around `position`; the others act within `radius` of it, fading
+// out towards the edge. Strengths are accelerations, so heavy and light
+// bodies respond alike, except in water, where buoyancy goes by volume and
+// dense bodies sink. Sleeping bodies are left alone; `world.addField` wakes
+// the ones already inside.
+//
+// Every parameter is a plain property (a number or a Vec3) under the name
+// `toJSON` writes it with, so editors can change a field in place.
+
+export const FIELD_TYPE = { ATTRACTOR:'attractor', WIND:'wind', VORTEX:'vortex', WATER:'water', EXPLOSION:'explosion' };
+
+const toVec3 = v => Array.isArray(v) ? Vec3.fromArray(v) : new Vec3(v.x, v.y, v.z);
+
+export class ForceField {
+  constructor(options) {
+    this.position = options.position ? toVec3(options.position) : Vec3.zero();
+  }
+
+  // World-space bounds { min, max } of the region
+  bounds() {
+    const h = this.halfExtents ?? new Vec3(this.radius, this.radius, this.radius);
+    return { min: this.position.sub(h), max: this.position.add(h) };
+  }
+
+  contains(p) {
+    if (!this.halfExtents) return p.sub(this.position).lengthSq() < this.radius * this.radius;
+    const d = p.sub(this.position), h = this.halfExtents;
+    return Math.abs(d.x) <= h.x && Math.abs(d.y) <= h.y && Math.abs(d.z) <= h.z;
+  }
+
+  // 1 at the centre, 0 at `radius`
+  falloff(p) {
+    return Math.max(0, 1 - p.sub(this.position).length() / this.radius);
+  }
+
+  // Once per step, before any body is pushed
+  update(world, dt) {}
+
+  // Forces on one awake dynamic body
+  apply(body, world, dt) {}
+
+  toJSON() {
+    return { type: this.type, position: this.position.toArray(), ...this.params() };
+  }
+
+  params() { return {}; }
+}
+
+// Pulls bodies towards `position`; a negative strength pushes them away
+// Options: { position, radius, strength }
+export class AttractorField extends ForceField {
+  constructor(options = {}) {
+    super(options);
+    this.type = FIELD_TYPE.ATTRACTOR;
+    this.radius = options.radius ?? 6;
+    this.strength = options.strength ?? 20;
+  }
+
+  apply(body) {
+    const d = this.position.sub(body.position);
+    const dist = d.length();
+    if (dist < 1e-3 || dist >= this.radius) return;
+    body.applyForce(d.mul(this.strength * body.mass * this.falloff(body.position) / dist));
+  }
+
+  params() { return { radius: this.radius, strength: this.strength }; }
+}
+
+// Drags bodies towards the air's velocity `wind`; `drag` is how quickly (1/s)
+// Options: { position, halfExtents, wind, drag }
+export class WindField extends ForceField {
+  constructor(options = {}) {
+    super(options);
+    this.type = FIELD_TYPE.WIND;
+    this.halfExtents = options.halfExtents ? toVec3(options.halfExtents) : new Vec3(5, 5, 5);
+    this.wind = options.wind ? toVec3(options.wind) : new Vec3(10, 0, 0);
+    this.drag = options.drag ?? 1;
+  }
+
+  apply(body) {
+    if (!this.contains(body.position)) return;
+    body.applyForce(this.wind.sub(body.velocity).mul(this.drag * body.mass));
+  }
+
+  params() { return { halfExtents: this.halfExtents.toArray(), wind: this.wind.toArray(), drag: this.drag }; }
+}
+
+// Swirls bodies around `axis` through `position`, pulling them in by `pull`
+// and along the axis by `lift`
+// Options: { position, radius, axis, strength, pull, lift }
+export class VortexField extends ForceField {
+  constructor(options = {}) {
+    super(options);
+    this.type = FIELD_TYPE.VORTEX;
+    this.radius = options.radius ?? 6;
+    this.axis = options.axis ? toVec3(options.axis) : new Vec3(0, 1, 0);
+    this.strength = options.strength ?? 15;
+    this.pull = options.pull ?? 5;
+    this.lift = options.lift ?? 0;
+  }
+
+  apply(body) {
+    const k = this.falloff(body.position);
+    if (k <= 0) return;
+    const axis = this.axis.normalize();
+    const d = body.position.sub(this.position);
+    const radial = d.sub(axis.mul(d.dot(axis)));
+    const dist = radial.length();
+    let force = axis.mul(this.lift);
+    if (dist > 1e-3) {
+      const out = radial.mul(1 / dist);
+      force = force.add(axis.cross(out).mul(this.strength)).sub(out.mul(this.pull));
+    }
+    body.applyForce(force.mul(body.mass * k));
+  }
+
+  params() {
+    return { radius: this.radius, axis: this.axis.toArray(), strength: this.strength, pull: this.pull, lift: this.lift };
+  }
+}
+
+// A box of liquid of `density` (mass per unit volume, so bodies lighter than
+// that float): buoyancy against gravity on the part of each body below the
+// surface (by its bounds), plus linear and angular drag on that part
+// Options: { position, halfExtents, density, drag }
+export class WaterField extends ForceField {
+  constructor(options = {}) {
+    super(options);
+    this.type = FIELD_TYPE.WATER;
+    this.halfExtents = options.halfExtents ? toVec3(options.halfExtents) : new Vec3(10, 2, 10);
+    this.density = options.density ?? 1;
+    this.drag = options.drag ?? 1;
+  }
+
+  // Fraction (0..1) of the body's height below the surface, if it's in the box
+  submerged(body) {
+    const { min, max } = shapeAABB(body.shape, body.position, body.orientation);
+    const box = this.bounds();
+    if (body.position.x < box.min.x || body.position.x > box.max.x || body.position.z < box.min.z || body.position.z > box.max.z) return 0;
+    if (max.y < box.min.y || min.y > box.max.y) return 0;
+    const height = max.y - min.y;
+    return height > 0 ? Math.min(1, (box.max.y - min.y) / height) : 1;
+  }
+
+  apply(body, world, dt) {
+    const k = this.submerged(body);
+    if (k <= 0) return;
+    body.applyForce(world.gravity.mul(-this.density * shapeVolume(body.shape) * k));
+    body.applyForce(body.velocity.mul(-this.drag * body.mass * k));
+    body.angularVelocity = body.angularVelocity.mul(1 / (1 + dt * this.drag * k));
+  }
+
+  params() { return { halfExtents: this.halfExtents.toArray(), density: this.density, drag: this.drag }; }
+}
+
+// An outward kick of up to `strength` m/s to everything within `radius`,
+// every `interval` seconds (0: only when `detonate` is called)
+// Options: { position, radius, strength, interval, timer }
+export class ExplosionField extends ForceField {
+  constructor(options = {}) {
+    super(options);
+    this.type = FIELD_TYPE.EXPLOSION;
+    this.radius = options.radius ?? 6;
+    this.strength = options.strength ?? 15;
+    this.interval = options.interval ?? 0;
+    this.timer = options.timer ?? 0;
+  }
+
+  update(world, dt) {
+    if (this.interval <= 0) return;
+    this.timer += dt;
+    while (this.timer >= this.interval) {
+      this.timer -= this.interval;
+      this.detonate(world);
+    }
+  }
+
+  // Wakes everything it reaches
+  detonate(world) {
+    for (const body of world.bodies) {
+      if (body.invMass === 0) continue;
+      const d = body.position.sub(this.position);
+      const dist = d.length();
+      if (dist >= this.radius) continue;
+      const dir = dist > 1e-3 ? d.mul(1 / dist) : new Vec3(0, 1, 0);
+      body.applyImpulse(dir.mul(this.strength * body.mass * this.falloff(body.position)));
+    }
+  }
+
+  params() { return { radius: this.radius, strength: this.strength, interval: this.interval, timer: this.timer }; }
+}
+
+const FIELD_CLASSES = {
+  [FIELD_TYPE.ATTRACTOR]: AttractorField,
+  [FIELD_TYPE.WIND]: WindField,
+  [FIELD_TYPE.VORTEX]: VortexField,
+  [FIELD_TYPE.WATER]: WaterField,
+  [FIELD_TYPE.EXPLOSION]: ExplosionField
+};
+
+// Field from a description such as { type: 'wind', position: [0, 2, 0], wind: [8, 0, 0] }
+// (or `toJSON` output)
+export function createField(desc) {
+  const FieldClass = FIELD_CLASSES[desc.type];
+  if (!FieldClass) throw new Error(`Unknown field type: ${desc.type}`);
+  return new FieldClass(desc);
+}
@@ -0,0 +1,123 @@
+import { Vec3 } from './math.js';
+
+// --- Convex hulls ---
+// Incremental 3D hull: start from a tetrahedron of extreme points, then add
+// each point outside the current hull by deleting the faces it can see and
+// fanning new triangles from it to the horizon. Coplanar triangles are merged
+// back into polygons at the end, so a box-like model gets six quad faces
+// (which the narrowphase clips against) rather than twelve triangles.
+
+// Points further out than this fraction of the hull's size count as outside
+const RELATIVE_EPSILON = 1e-6;
+
+// At most `count` points of the cloud that lie on its hull: the farthest
+// point along each of `count` directions spread evenly over the sphere
+export function extremePoints(points, count) {
+  if (points.length <= count) return points;
+  const chosen = new Set();
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < count; i++) {
+    const y = 1 - 2 * (i + 0.5) / count, r = Math.sqrt(1 - y * y);
+    const dir = new Vec3(Math.cos(golden * i) * r, y, Math.sin(golden * i) * r);
+    let best = null, bestDot = -Infinity;
+    for (const p of points) {
+      const d = p.x * dir.x + p.y * dir.y + p.z * dir.z;
+      if (d > bestDot) { bestDot = d; best = p; }
+    }
+    chosen.add(best);
+  }
+  return [...chosen];
+}
+
+function makeTriangle(points, i, j, k, inside) {
+  const p = points[i];
+  let n = points[j].sub(p).cross(points[k].sub(p)).normalize();
+  if (n.dot(inside.sub(p)) > 0) {
+    [j, k] = [k, j];
+    n = n.mul(-1);
+  }
+  return { v: [i, j, k], n, d: n.dot(p) };
+}
+
+// Convex hull of a point cloud as { vertices, faces }, where each face lists
+// vertex indices counter-clockwise seen from outside. Null when the points
+// are (nearly) flat, on a line or all the same.
+export function convexHull(points) {
+  if (points.length < 4) return null;
+  const lo = points[0].copy(), hi = points[0].copy();
+  for (const p of points) {
+    lo.set(Math.min(lo.x, p.x), Math.min(lo.y, p.y), Math.min(lo.z, p.z));
+    hi.set(Math.max(hi.x, p.x), Math.max(hi.y, p.y), Math.max(hi.z, p.z));
+  }
+  const size = hi.sub(lo).length();
+  if (size < 1e-9) return null;
+  const eps = size * RELATIVE_EPSILON;
+
+  // Initial tetrahedron: a wide pair, then farthest from their line and plane
+  const farthest = score => points.reduce((best, p) => score(p) > score(best) ? p : best);
+  const a = farthest(p => p.sub(lo).lengthSq());
+  const b = farthest(p => p.sub(a).lengthSq());
+  const ab = b.sub(a).normalize();
+  const c = farthest(p => p.sub(a).cross(ab).lengthSq());
+  const planeNormal = ab.cross(c.sub(a)).normalize();
+  const d = farthest(p => Math.abs(p.sub(a).dot(planeNormal)));
+  if (c.sub(a).cross(ab).length() < eps || Math.abs(d.sub(a).dot(planeNormal)) < eps) return null;
+
+  const ia = points.indexOf(a), ib = points.indexOf(b), ic = points.indexOf(c), id = points.indexOf(d);
+  const inside = a.add(b).add(c).add(d).mul(0.25);
+  let faces = [
+    makeTriangle(points, ia, ib, ic, inside),
+    makeTriangle(points, ia, ib, id, inside),
+    makeTriangle(points, ia, ic, id, inside),
+    makeTriangle(points, ib, ic, id, inside)
+  ];
+
+  points.forEach((p, i) => {
+    const visible = faces.filter(f => f.n.dot(p) - f.d > eps);
+    if (!visible.length) return;
+    // Horizon: edges of the visible region whose reverse is not also visible
+    const edges = new Set();
+    for (const f of visible) for (let k = 0; k < 3; k++) edges.add(`${f.v[k]},${f.v[(k + 1) % 3]}`);
+    const horizon = [];
+    for (const f of visible) {
+      for (let k = 0; k < 3; k++) {
+        const u = f.v[k], v = f.v[(k + 1) % 3];
+        if (!edges.has(`${v},${u}`)) horizon.push([u, v]);
+      }
+    }
+    faces = faces.filter(f => !visible.includes(f));
+    for (const [u, v] of horizon) faces.push(makeTriangle(points, u, v, i, inside));
+  });
+
+  return mergeFaces(points, faces, eps);
+}
+
+// Join coplanar triangles into polygons and keep only the vertices in use
+function mergeFaces(points, triangles, eps) {
+  const planes = [];
+  for (const t of triangles) {
+    const plane = planes.find(p => p.n.dot(t.n) > 1 - 1e-6 && Math.abs(p.d - t.d) < eps * 10);
+    if (plane) t.v.forEach(i => plane.indices.add(i));
+    else planes.push({ n: t.n, d: t.d, indices: new Set(t.v) });
+  }
+
+  const remap = new Map(), vertices = [];
+  const faces = planes.map(({ n, indices }) => {
+    const ids = [...indices];
+    const centre = ids.reduce((sum, i) => sum.add(points[i]), Vec3.zero()).mul(1 / ids.length);
+    const u = points[ids[0]].sub(centre).normalize(), w = n.cross(u);
+    const angle = i => {
+      const r = points[i].sub(centre);
+      return Math.atan2(r.dot(w), r.dot(u));
+    };
+    ids.sort((i, j) => angle(i) - angle(j));
+    return ids.map(i => {
+      if (!remap.has(i)) {
+        remap.set(i, vertices.length);
+        vertices.push(points[i].copy());
+      }
+      return remap.get(i);
+    });
+  });
+  return { vertices, faces };
+}
@@ -0,0 +1,106 @@
+// Approx physics engine - DOM-free and renderer-free, shared by every
+// front-end and runnable under Node.
+//
+//   import { createWorld, addBody, step, query } from '../engine/index.js';
+//   const world = createWorld({ gravity: [0, -10, 0], worldSize: 20 });
+//   const ball = addBody(world, { shape: { type: 'sphere', radius: 0.5 }, position: [0, 5, 0], mass: 1 });
+//   step(world, 1/60);
+//   query(world, { point: ball.position, radius: 2 });
+import { Vec3, Quaternion } from './math.js';
+import { createShape } from './shapes.js';
+import { RigidBody } from './body.js';
+import { PhysicsWorld } from './world.js';
+import { Joint, createJoint } from './joints.js';
+import { MaterialLibrary } from './materials.js';
+
+export { Vec3, Quaternion } from './math.js';
+export {
+  SHAPE_TYPE, SphereShape, BoxShape, CylinderShape, CompoundShape, ConvexHullShape, HeightfieldShape,
+  createShape, describeShape, shapeScale, scaleShape, boundingRadius, innerRadius, shapeVolume, shapeAABB
+} from './shapes.js';
+export { COLLIDER_TYPES, generateCollider } from './colliders.js';
+export { RigidBody } from './body.js';
+export { PhysicsWorld } from './world.js';
+export { ContactSolver } from './solver.js';
+export { Random } from './random.js';
+export { RECORDED_FIELDS, Recorder } from './recorder.js';
+export { kineticEnergy, potentialEnergy, measureWorld, measureBody } from './telemetry.js';
+export {
+  SCENE_FORMAT, SCENE_VERSION, serializeScene, migrateScene, validateScene, readScene, loadScene, bodyRecord, bodyFromRecord,
+  worldSettings, restoreWorldSettings
+} from './scene.js';
+export { JOINT_TYPE, Joint, DistanceJoint, SpringJoint, BallJoint, HingeJoint, WeldJoint, createJoint } from './joints.js';
+export {
+  FIELD_TYPE, ForceField, AttractorField, WindField, VortexField, WaterField, ExplosionField, createField
+} from './fields.js';
+export { Emitter, createEmitter } from './emitters.js';
+export { COMBINE_MODE, PAIR_FIELDS, DEFAULT_MATERIALS, MaterialLibrary, createMaterial } from './materials.js';
+export { STATE_STRIDE, WORKER_IDS, CONTACT_STRIDE, writeState, readState, writeContacts, readContacts } from './remote.js';
+
+const toVec3 = v => Array.isArray(v) ? Vec3.fromArray(v) : new Vec3(v.x, v.y, v.z);
+const toQuat = q => Array.isArray(q) ? Quaternion.fromArray(q) : new Quaternion(q.x, q.y, q.z, q.w);
+
+export function createWorld(options = {}) {
+  return new PhysicsWorld(options);
+}
+
+// Build a RigidBody from a plain description:
+// { shape, position, mass, velocity, angularVelocity, orientation, material,
+// friction, staticFriction, restitution, rollingFriction, collisionGroup,
+// collisionMask, trigger, ccd, static, kinematic, motion: { offset, period } } —
+// a motion swings the (kinematic) body about its starting position.
+// `material` names an entry of `materials` (the built-in library if not
+// given), whose density sets the mass unless `mass` is given; the surface
+// values given alongside it win.
+export function createBody(desc, materials = null) {
+  const body = new RigidBody(toVec3(desc.position ?? [0, 0, 0]), createShape(desc.shape), desc.mass ?? 1);
+  if (desc.material !== undefined) (materials ?? new MaterialLibrary()).apply(body, desc.material, desc.mass === undefined);
+  if (desc.velocity) body.velocity = toVec3(desc.velocity);
+  if (desc.angularVelocity) body.angularVelocity = toVec3(desc.angularVelocity);
+  if (desc.orientation) {
+    body.orientation = toQuat(desc.orientation);
+    body.updateInertiaWorld();
+  }
+  for (const key of ['friction', 'staticFriction', 'restitution', 'rollingFriction']) {
+    if (desc[key] !== undefined) body[key] = desc[key];
+  }
+  if (desc.collisionGroup !== undefined) body.collisionGroup = desc.collisionGroup;
+  if (desc.collisionMask !== undefined) body.collisionMask = desc.collisionMask;
+  if (desc.trigger) body.isTrigger = true;
+  if (desc.ccd) body.ccd = true;
+  if (desc.kinematic || desc.motion) {
+    body.makeKinematic(desc.motion && { origin: body.position.copy(), offset: toVec3(desc.motion.offset), period: desc.motion.period ?? 4 });
+  } else if (desc.static) {
+    body.makeStatic();
+  }
+  return body;
+}
+
+// Accepts either a RigidBody or a description for createBody, whose
+// `material` comes from the world's library
+export function addBody(world, body) {
+  return world.addBody(body instanceof RigidBody ? body : createBody(body, world.materials));
+}
+
+export function removeBody(world, body) {
+  world.removeBody(body);
+}
+
+// Accepts either a Joint or a description for createJoint, e.g.
+// { type: 'hinge', a: door, b: frame, anchor: [0, 2, 0], axis: [0, 1, 0] }
+export function addJoint(world, joint) {
+  return world.addJoint(joint instanceof Joint ? joint : createJoint(joint));
+}
+
+export function removeJoint(world, joint) {
+  world.removeJoint(joint);
+}
+
+export function step(world, dt) {
+  world.step(dt);
+  return world;
+}
+
+export function query(world, options) {
+  return world.query(options);
+}
@@ -0,0 +1,342 @@
+import { Vec3, Quaternion } from './math.js';
+import { jacobian, angularJacobian, rowSpeed, applyRowImpulse } from './solver.js';
+
+// --- Joints ---
+// A joint ties body `a` to body `b`, or to a fixed point in the world when `b`
+// is null. Each step it is broken into scalar constraint rows of the same
+// kind the contact solver uses, and solved in the same iteration loop, so a
+// chain hanging off a stack shares load with the stack's contacts. Row
+// impulses are kept by name and warm start the next step. Drift is removed
+// the way the solver removes penetration: with split-impulse pseudo
+// velocities, or with a Baumgarte bias.
+//
+// Constructors take anchors and axes in world space, at the bodies' current
+// pose, and store them in body space. The `local*` options (as written by
+// `toJSON`) restore a joint exactly instead.
+
+export const JOINT_TYPE = { DISTANCE:'distance', SPRING:'spring', BALL:'ball', HINGE:'hinge', WELD:'weld' };
+
+const AXES = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)];
+
+const toVec3 = v => Array.isArray(v) ? Vec3.fromArray(v) : new Vec3(v.x, v.y, v.z);
+const toQuat = q => Array.isArray(q) ? Quaternion.fromArray(q) : new Quaternion(q.x, q.y, q.z, q.w);
+
+// World point/direction into the body's frame (unchanged for the world itself)
+function toBodyPoint(body, p) {
+  return body ? body.orientation.conjugate().rotateVector(p.sub(body.position)) : p.copy();
+}
+function toBodyDir(body, d) {
+  return body ? body.orientation.conjugate().rotateVector(d) : d.copy();
+}
+function toWorldDir(body, d) {
+  return body ? body.orientation.rotateVector(d) : d;
+}
+
+// Some unit vector perpendicular to n
+function perpendicular(n) {
+  return (Math.abs(n.x) > 0.57 ? new Vec3(n.y, -n.x, 0) : new Vec3(0, n.z, -n.y)).normalize();
+}
+
+// Shared pivot of two bodies: given, or halfway between them
+function pivot(a, b, options) {
+  if (options.anchor) return toVec3(options.anchor);
+  return b ? a.position.add(b.position).mul(0.5) : a.position.copy();
+}
+
+const movable = body => body && body.invMass > 0;
+
+export class Joint {
+  // Options: { collideConnected } plus `localAnchorA`/`localAnchorB`, which
+  // win over the world-space `anchorA`/`anchorB` given by subclasses
+  constructor(a, b, options, anchorA, anchorB) {
+    this.a = a;
+    this.b = b ?? null;
+    // Jointed bodies pass through each other unless this is set
+    this.collideConnected = options.collideConnected ?? false;
+    this.localAnchorA = options.localAnchorA ? toVec3(options.localAnchorA) : toBodyPoint(a, anchorA);
+    this.localAnchorB = options.localAnchorB ? toVec3(options.localAnchorB) : toBodyPoint(this.b, anchorB);
+    this.rows = [];
+  }
+
+  // Skipped by the solver when nothing it holds can move this step
+  get active() {
+    return (movable(this.a) && !this.a.sleeping) || (movable(this.b) && !this.b.sleeping);
+  }
+
+  // Bodies a sleeping island has to take along (the world is never one)
+  get bodies() { return this.b ? [this.a, this.b] : [this.a]; }
+
+  // World anchor points and their lever arms from each body's centre
+  anchors() {
+    const { a, b } = this;
+    const rA = a.orientation.rotateVector(this.localAnchorA);
+    const rB = b ? b.orientation.rotateVector(this.localAnchorB) : null;
+    return { rA, rB, pA: a.position.add(rA), pB: b ? b.position.add(rB) : this.localAnchorB };
+  }
+
+  // Rows are { j, bias, error, lower, upper, gamma }: `bias` is a target
+  // speed along the row, `error` how far the row is out of place (corrected
+  // in the position pass), [lower, upper] bounds the accumulated impulse and
+  // `gamma` softens the row into a spring
+  addRow(key, j, { bias = 0, error = 0, lower = -Infinity, upper = Infinity, gamma = 0 } = {}) {
+    const mass = gamma > 0 && j.mass > 0 ? 1 / (1 / j.mass + gamma) : j.mass;
+    this.rows.push({ key, j, bias, error, lower, upper, gamma, mass, impulse: 0, pseudoImpulse: 0 });
+  }
+
+  // Three rows pinning anchor A onto anchor B
+  addPointRows() {
+    const { rA, rB, pA, pB } = this.anchors();
+    const error = pB.sub(pA);
+    AXES.forEach((axis, i) => {
+      this.addRow(`point${i}`, jacobian(this.a, this.b, rA, rB, axis), { error: error.dot(axis) });
+    });
+  }
+
+  // --- Solver interface ---
+  prepare(dt, solver) {
+    const previous = new Map(this.rows.map(row => [row.key, row.impulse]));
+    this.rows = [];
+    this.buildRows(dt);
+    for (const row of this.rows) {
+      if (solver.positionCorrection === 'baumgarte') row.bias += solver.baumgarte * row.error / dt;
+      if (solver.warmStarting && previous.has(row.key)) {
+        const impulse = previous.get(row.key) * solver.warmStartFactor;
+        row.impulse = Math.min(Math.max(impulse, row.lower), row.upper);
+      }
+    }
+  }
+
+  warmStart() {
+    for (const row of this.rows) applyRowImpulse(row.j, this.a, this.b, row.impulse, false);
+  }
+
+  solveVelocity() {
+    const { a, b } = this;
+    for (const row of this.rows) {
+      const speed = rowSpeed(row.j, a, b, false);
+      let lambda = row.impulse + (row.bias - speed - row.gamma * row.impulse) * row.mass;
+      lambda = Math.min(Math.max(lambda, row.lower), row.upper);
+      applyRowImpulse(row.j, a, b, lambda - row.impulse, false);
+      row.impulse = lambda;
+    }
+  }
+
+  solvePosition(dt, solver) {
+    const { a, b } = this;
+    for (const row of this.rows) {
+      if (!row.error) continue;
+      const target = solver.baumgarte * row.error / dt;
+      let lambda = row.pseudoImpulse + (target - rowSpeed(row.j, a, b, true)) * row.mass;
+      lambda = Math.min(Math.max(lambda, row.lower), row.upper);
+      applyRowImpulse(row.j, a, b, lambda - row.pseudoImpulse, true);
+      row.pseudoImpulse = lambda;
+    }
+  }
+
+  // Plain data for the scene file; bodies are written as `bodyIndex(body)`
+  toJSON(bodyIndex) {
+    return {
+      type: this.type,
+      a: bodyIndex(this.a),
+      b: this.b ? bodyIndex(this.b) : null,
+      localAnchorA: this.localAnchorA.toArray(),
+      localAnchorB: this.localAnchorB.toArray(),
+      collideConnected: this.collideConnected,
+      ...this.params()
+    };
+  }
+
+  params() { return {}; }
+}
+
+// Keeps the anchors `length` apart (default: their current distance). A
+// rope only pulls, so it goes slack when the bodies move closer.
+// Options: { anchorA, anchorB (default: body centres), length, rope }
+export class DistanceJoint extends Joint {
+  constructor(a, b, options = {}) {
+    const anchorA = options.anchorA ? toVec3(options.anchorA) : a.position.copy();
+    const anchorB = options.anchorB ? toVec3(options.anchorB) : (b ? b.position.copy() : anchorA.copy());
+    super(a, b, options, anchorA, anchorB);
+    this.type = JOINT_TYPE.DISTANCE;
+    this.length = options.length ?? anchorA.sub(anchorB).length();
+    this.rope = options.rope ?? false;
+  }
+
+  // The row along the line between the anchors, and how far it is stretched
+  lengthRow() {
+    const { rA, rB, pA, pB } = this.anchors();
+    const delta = pA.sub(pB);
+    const distance = delta.length();
+    if (distance < 1e-6) return null;
+    return { j: jacobian(this.a, this.b, rA, rB, delta.mul(1 / distance)), stretch: distance - this.length };
+  }
+
+  buildRows(dt) {
+    const row = this.lengthRow();
+    if (!row) return;
+    const { j, stretch } = row;
+    if (!this.rope) {
+      this.addRow('length', j, { error: -stretch });
+    } else if (stretch < 0) {
+      // Slack: free to move until the rope would pull tight within this step
+      this.addRow('length', j, { bias: -stretch / dt, upper: 0 });
+    } else {
+      this.addRow('length', j, { error: -stretch, upper: 0 });
+    }
+  }
+
+  params() { return { length: this.length, rope: this.rope }; }
+}
+
+// A damped spring between the anchors, as a soft distance constraint:
+// `frequency` (Hz) and `dampingRatio` (1 = critical) describe how it
+// oscillates regardless of the masses involved. Frequency 0 makes it rigid.
+export class SpringJoint extends DistanceJoint {
+  constructor(a, b, options = {}) {
+    super(a, b, { ...options, rope: false });
+    this.type = JOINT_TYPE.SPRING;
+    this.frequency = options.frequency ?? 2;
+    this.dampingRatio = options.dampingRatio ?? 0.3;
+  }
+
+  buildRows(dt) {
+    const row = this.lengthRow();
+    if (!row || row.j.mass === 0) return;
+    if (this.frequency <= 0) {
+      this.addRow('length', row.j, { error: -row.stretch });
+      return;
+    }
+    const omega = 2 * Math.PI * this.frequency;
+    const stiffness = row.j.mass * omega * omega;
+    const damping = 2 * row.j.mass * this.dampingRatio * omega;
+    const gamma = 1 / (dt * (damping + dt * stiffness));
+    this.addRow('length', row.j, { bias: -row.stretch * dt * stiffness * gamma, gamma });
+  }
+
+  params() { return { length: this.length, frequency: this.frequency, dampingRatio: this.dampingRatio }; }
+}
+
+// Ball and socket: both bodies share the `anchor` point and rotate freely about it
+export class BallJoint extends Joint {
+  constructor(a, b, options = {}) {
+    const anchor = pivot(a, b, options);
+    super(a, b, options, anchor, anchor);
+    this.type = JOINT_TYPE.BALL;
+  }
+
+  buildRows() { this.addPointRows(); }
+}
+
+// Hinge: a ball joint that only turns about `axis`. The angle of a relative
+// to b (or to the world) is measured from where they were built; `lowerAngle`/`upperAngle`
+// (radians) bound it when `enableLimit` is set, and with `enableMotor` it is
+// driven at `motorSpeed` (rad/s) by at most `maxMotorTorque`.
+export class HingeJoint extends Joint {
+  constructor(a, b, options = {}) {
+    const anchor = pivot(a, b, options);
+    super(a, b, options, anchor, anchor);
+    this.type = JOINT_TYPE.HINGE;
+    const axis = toVec3(options.axis ?? [0, 1, 0]).normalize();
+    const ref = perpendicular(axis);
+    this.localAxisA = options.localAxisA ? toVec3(options.localAxisA) : toBodyDir(a, axis);
+    this.localAxisB = options.localAxisB ? toVec3(options.localAxisB) : toBodyDir(this.b, axis);
+    this.localRefA = options.localRefA ? toVec3(options.localRefA) : toBodyDir(a, ref);
+    this.localRefB = options.localRefB ? toVec3(options.localRefB) : toBodyDir(this.b, ref);
+    this.enableLimit = options.enableLimit ?? false;
+    this.lowerAngle = options.lowerAngle ?? -Math.PI / 4;
+    this.upperAngle = options.upperAngle ?? Math.PI / 4;
+    this.enableMotor = options.enableMotor ?? false;
+    this.motorSpeed = options.motorSpeed ?? 0;
+    this.maxMotorTorque = options.maxMotorTorque ?? 100;
+  }
+
+  // Rotation of a about the axis relative to b, in (-PI, PI]
+  get angle() {
+    const axis = toWorldDir(this.a, this.localAxisA);
+    const refA = toWorldDir(this.a, this.localRefA);
+    const refB = toWorldDir(this.b, this.localRefB);
+    return Math.atan2(refB.cross(refA).dot(axis), refA.dot(refB));
+  }
+
+  buildRows(dt) {
+    const { a, b } = this;
+    this.addPointRows();
+    // Two rows keep b's axis on a's
+    const axisA = toWorldDir(a, this.localAxisA);
+    const misalignment = axisA.cross(toWorldDir(b, this.localAxisB));
+    const t1 = perpendicular(axisA), t2 = axisA.cross(t1);
+    this.addRow('swing0', angularJacobian(a, b, t1), { error: misalignment.dot(t1) });
+    this.addRow('swing1', angularJacobian(a, b, t2), { error: misalignment.dot(t2) });
+    if (!this.enableLimit && !this.enableMotor) return;
+
+    // Speed along this row is the rate of change of the angle
+    const j = angularJacobian(a, b, axisA);
+    if (this.enableMotor) {
+      const maxImpulse = this.maxMotorTorque * dt;
+      this.addRow('motor', j, { bias: this.motorSpeed, lower: -maxImpulse, upper: maxImpulse });
+    }
+    if (this.enableLimit) {
+      // Stops close speculatively, like contacts, and push back once passed
+      const angle = this.angle;
+      const toLower = angle - this.lowerAngle, toUpper = this.upperAngle - angle;
+      this.addRow('lower', j, toLower > 0 ? { bias: -toLower / dt, lower: 0 } : { error: -toLower, lower: 0 });
+      this.addRow('upper', j, toUpper > 0 ? { bias: toUpper / dt, upper: 0 } : { error: toUpper, upper: 0 });
+    }
+  }
+
+  params() {
+    return {
+      localAxisA: this.localAxisA.toArray(), localAxisB: this.localAxisB.toArray(),
+      localRefA: this.localRefA.toArray(), localRefB: this.localRefB.toArray(),
+      enableLimit: this.enableLimit, lowerAngle: this.lowerAngle, upperAngle: this.upperAngle,
+      enableMotor: this.enableMotor, motorSpeed: this.motorSpeed, maxMotorTorque: this.maxMotorTorque
+    };
+  }
+}
+
+// Weld: glues the bodies together at `anchor`, keeping their relative orientation
+export class WeldJoint extends Joint {
+  constructor(a, b, options = {}) {
+    const anchor = pivot(a, b, options);
+    super(a, b, options, anchor, anchor);
+    this.type = JOINT_TYPE.WELD;
+    // Orientation of b in a's frame
+    this.relativeOrientation = options.relativeOrientation
+      ? toQuat(options.relativeOrientation)
+      : a.orientation.conjugate().multiply(this.b ? this.b.orientation : Quaternion.identity());
+  }
+
+  buildRows() {
+    const { a, b } = this;
+    this.addPointRows();
+    // Small rotation that would carry b back to its welded orientation
+    const target = a.orientation.multiply(this.relativeOrientation);
+    const q = target.multiply((b ? b.orientation : Quaternion.identity()).conjugate());
+    const s = q.w < 0 ? -2 : 2;
+    const rotation = new Vec3(q.x * s, q.y * s, q.z * s);
+    AXES.forEach((axis, i) => {
+      this.addRow(`twist${i}`, angularJacobian(a, b, axis), { error: -rotation.dot(axis) });
+    });
+  }
+
+  params() { return { relativeOrientation: this.relativeOrientation.toArray() }; }
+}
+
+const JOINT_CLASSES = {
+  [JOINT_TYPE.DISTANCE]: DistanceJoint,
+  [JOINT_TYPE.SPRING]: SpringJoint,
+  [JOINT_TYPE.BALL]: BallJoint,
+  [JOINT_TYPE.HINGE]: HingeJoint,
+  [JOINT_TYPE.WELD]: WeldJoint
+};
+
+// Build a joint from { type, a, b, ...options }. With `bodies`, `a` and `b`
+// are indices into it (as written by `toJSON`) instead of bodies.
+export function createJoint(desc, bodies = null) {
+  const JointClass = JOINT_CLASSES[desc.type];
+  if (!JointClass) throw new Error(`Unknown joint type: ${desc.type}`);
+  const resolve = ref => (bodies && ref !== null && ref !== undefined ? bodies[ref] : ref) ?? null;
+  const a = resolve(desc.a), b = resolve(desc.b);
+  if (!a || (desc.b !== null && desc.b !== undefined && !b)) throw new Error('Joint refers to a missing body');
+  return new JointClass(a, b, desc);
+}
@@ -0,0 +1,173 @@
+import { shapeVolume } from './shapes.js';
+
+// --- Materials ---
+// A library of named surface materials: { name, density, friction (sliding),
+// staticFriction, restitution, rollingFriction, color, texture }. Colour (a
+// hex number) and texture (an image URL) are for front-ends; the engine never
+// reads them. `apply` copies a material's numbers onto a body and names it in
+// `body.materialType`, so a body can still be tuned on its own afterwards.
+//
+// When two bodies touch, each number is combined by the library's
+// `frictionCombine` (also used for static and rolling friction) or
+// `restitutionCombine` mode, unless the pair of material names has an entry
+// in the override table, whose values win. The ground and walls use the
+// body's own values.
+
+export const COMBINE_MODE = { MIN:'min', MAX:'max', AVERAGE:'average', MULTIPLY:'multiply', GEOMETRIC:'geometric' };
+
+const COMBINE = {
+  [COMBINE_MODE.MIN]: Math.min,
+  [COMBINE_MODE.MAX]: Math.max,
+  [COMBINE_MODE.AVERAGE]: (x, y) => (x + y) / 2,
+  [COMBINE_MODE.MULTIPLY]: (x, y) => x * y,
+  [COMBINE_MODE.GEOMETRIC]: (x, y) => Math.sqrt(x * y)
+};
+
+// Values a pair override may set
+export const PAIR_FIELDS = ['friction', 'staticFriction', 'restitution', 'rollingFriction'];
+
+export const DEFAULT_MATERIALS = [
+  { name: 'steel', density: 7.8, friction: 0.1, staticFriction: 0.15, restitution: 0.3, rollingFriction: 0.001, color: 0x8a9a9a },
+  { name: 'rubber', density: 1.1, friction: 0.8, staticFriction: 1, restitution: 0.8, rollingFriction: 0.02, color: 0x2e294e },
+  { name: 'granite', density: 2.7, friction: 0.6, staticFriction: 0.7, restitution: 0.2, rollingFriction: 0.01, color: 0x808080 },
+  { name: 'wood', density: 0.6, friction: 0.5, staticFriction: 0.6, restitution: 0.3, rollingFriction: 0.01, color: 0x8b4513 },
+  { name: 'ice', density: 0.9, friction: 0.05, staticFriction: 0.1, restitution: 0.5, rollingFriction: 0, color: 0x87ceeb },
+  { name: 'foam', density: 0.1, friction: 0.7, staticFriction: 0.8, restitution: 0.1, rollingFriction: 0.05, color: 0xffe4e1 }
+];
+
+// Numbers a material description may give
+const MATERIAL_FIELDS = ['density', ...PAIR_FIELDS];
+
+// Throws unless every one of `keys` that `values` gives is a finite number
+function checkNumbers(values, keys, what) {
+  for (const key of keys) {
+    if (values[key] != null && !Number.isFinite(values[key])) throw new Error(`${what}: ${key} must be a number`);
+  }
+}
+
+// A complete material from a partial description; static friction defaults to the sliding one
+export function createMaterial(desc) {
+  if (typeof desc.name !== 'string' || !desc.name) throw new Error('A material needs a name');
+  checkNumbers(desc, MATERIAL_FIELDS, `Material ${desc.name}`);
+  const friction = desc.friction ?? 0.3;
+  return {
+    name: desc.name,
+    density: desc.density ?? 1,
+    friction,
+    staticFriction: desc.staticFriction ?? friction,
+    restitution: desc.restitution ?? 0.4,
+    rollingFriction: desc.rollingFriction ?? 0,
+    color: desc.color ?? 0x888888,
+    texture: desc.texture ?? null
+  };
+}
+
+// Same key whichever way round the names come
+const pairKey = (a, b) => a < b ? `${a}|${b}` : `${b}|${a}`;
+
+export class MaterialLibrary {
+  // Options as written by `toJSON`: { frictionCombine, restitutionCombine,
+  // materials, pairs }; without `materials` the library starts with DEFAULT_MATERIALS
+  constructor(options = {}) {
+    this.load(options);
+  }
+
+  // Replace the whole library. Throws on unknown combine modes or values
+  // that aren't numbers, leaving the library as it was.
+  load({ frictionCombine, restitutionCombine, materials = DEFAULT_MATERIALS, pairs = [] } = {}) {
+    for (const mode of [frictionCombine, restitutionCombine]) {
+      if (mode !== undefined && !Object.values(COMBINE_MODE).includes(mode)) throw new Error(`Unknown combine mode: ${mode}`);
+    }
+    const loaded = new Map(materials.map(m => createMaterial(m)).map(m => [m.name, m]));
+    pairs.forEach(p => checkNumbers(p, PAIR_FIELDS, `Material pair ${p.a}/${p.b}`));
+    this.frictionCombine = frictionCombine ?? COMBINE_MODE.GEOMETRIC;
+    this.restitutionCombine = restitutionCombine ?? COMBINE_MODE.MIN;
+    this.materials = loaded;
+    this.pairs = new Map();
+    pairs.forEach(p => this.setPair(p.a, p.b, p));
+    return this;
+  }
+
+  get names() {
+    return [...this.materials.keys()];
+  }
+
+  get(name) {
+    return this.materials.get(name) ?? null;
+  }
+
+  // Add a material, or replace the one with the same name; returns it
+  define(desc) {
+    const material = createMaterial(desc);
+    this.materials.set(material.name, material);
+    return material;
+  }
+
+  // Its pair overrides go too
+  remove(name) {
+    this.materials.delete(name);
+    for (const [key, pair] of this.pairs) {
+      if (pair.a === name || pair.b === name) this.pairs.delete(key);
+    }
+  }
+
+  // Override some of PAIR_FIELDS for bodies of materials `a` and `b` meeting
+  setPair(a, b, values) {
+    checkNumbers(values, PAIR_FIELDS, `Material pair ${a}/${b}`);
+    const pair = { a, b };
+    for (const key of PAIR_FIELDS) if (values[key] !== undefined) pair[key] = values[key];
+    this.pairs.set(pairKey(a, b), pair);
+    return pair;
+  }
+
+  getPair(a, b) {
+    return this.pairs.get(pairKey(a, b)) ?? null;
+  }
+
+  removePair(a, b) {
+    this.pairs.delete(pairKey(a, b));
+  }
+
+  // Copy material `name` onto a body; with `setMass`, its mass becomes
+  // density × volume (for shapes that have a volume)
+  apply(body, name, setMass = false) {
+    const m = this.get(name);
+    if (!m) throw new Error(`Unknown material: ${name}`);
+    body.materialType = m.name;
+    body.friction = m.friction;
+    body.staticFriction = m.staticFriction;
+    body.restitution = m.restitution;
+    body.rollingFriction = m.rollingFriction;
+    const volume = shapeVolume(body.shape);
+    if (setMass && volume > 0 && body.invMass !== 0) body.setMass(m.density * volume);
+    return body;
+  }
+
+  // Surface values for a contact between two bodies; `b` is null for the
+  // ground and walls
+  combine(a, b) {
+    const staticA = a.staticFriction ?? a.friction;
+    if (!b) return { friction: a.friction, staticFriction: staticA, restitution: a.restitution, rollingFriction: a.rollingFriction };
+    const f = COMBINE[this.frictionCombine], r = COMBINE[this.restitutionCombine];
+    const values = {
+      friction: f(a.friction, b.friction),
+      staticFriction: f(staticA, b.staticFriction ?? b.friction),
+      restitution: r(a.restitution, b.restitution),
+      rollingFriction: f(a.rollingFriction, b.rollingFriction)
+    };
+    if (this.pairs.size === 0) return values;
+    const pair = this.pairs.get(pairKey(a.materialType, b.materialType));
+    if (!pair) return values;
+    for (const key of PAIR_FIELDS) if (pair[key] !== undefined) values[key] = pair[key];
+    return values;
+  }
+
+  toJSON() {
+    return {
+      frictionCombine: this.frictionCombine,
+      restitutionCombine: this.restitutionCombine,
+      materials: [...this.materials.values()].map(m => ({ ...m })),
+      pairs: [...this.pairs.values()].map(p => ({ ...p }))
+    };
+  }
+}
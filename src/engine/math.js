@@ -0,0 +1,204 @@
+// --- Vector/Quaternion/Matrix ---
+export class Vec3 {
+  constructor(x=0, y=0, z=0) { this.x=x; this.y=y; this.z=z;}
+  add(v) { return new Vec3(this.x+v.x, this.y+v.y, this.z+v.z);}
+  sub(v) { return new Vec3(this.x-v.x, this.y-v.y, this.z-v.z);}
+  mul(s) { return new Vec3(this.x*s, this.y*s, this.z*s);}
+  dot(v) { return this.x*v.x + this.y*v.y + this.z*v.z;}
+  cross(v) { return new Vec3(this.y*v.z - this.z*v.y, this.z*v.x - this.x*v.z, this.x*v.y - this.y*v.x); }
+  length() { return Math.sqrt(this.x*this.x+this.y*this.y+this.z*this.z);}
+  lengthSq() { return this.x*this.x+this.y*this.y+this.z*this.z;}
+  normalize() { const l=this.length(); return l===0?new Vec3():this.mul(1/l);}
+  copy() { return new Vec3(this.x,this.y,this.z);}
+  set(x, y, z) {this.x=x;this.y=y;this.z=z;}
+  toArray() { return [this.x, this.y, this.z]; }
+  static zero() { return new Vec3(0,0,0);}
+  static fromArray(arr) { return new Vec3(arr[0], arr[1], arr[2]); }
+}
+
+export class Quaternion {
+  constructor(x=0,y=0,z=0,w=1){
+    this.x=x;this.y=y;this.z=z;this.w=w;
+  }
+
+  // Multiply quaternion by another quaternion
+  multiply(q) {
+    return new Quaternion(
+      this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+      this.w * q.y + this.y * q.w + this.z * q.x - this.x * q.z,
+      this.w * q.z + this.z * q.w + this.x * q.y - this.y * q.x,
+      this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z
+    );
+  }
+
+  // Rotate a vector by this quaternion
+  rotateVector(v) {
+    const x = this.x, y = this.y, z = this.z, w = this.w;
+    const ix = w * v.x + y * v.z - z * v.y;
+    const iy = w * v.y + z * v.x - x * v.z;
+    const iz = w * v.z + x * v.y - y * v.x;
+    const iw = -x * v.x - y * v.y - z * v.z;
+
+    return new Vec3(
+      ix * w + iw * -x + iy * -z - iz * -y,
+      iy * w + iw * -y + iz * -x - ix * -z,
+      iz * w + iw * -z + ix * -y - iy * -x
+    );
+  }
+
+  // Create quaternion from axis-angle
+  static fromAxisAngle(axis, angle) {
+    const halfAngle = angle / 2;
+    const s = Math.sin(halfAngle);
+    return new Quaternion(
+      axis.x * s,
+      axis.y * s,
+      axis.z * s,
+      Math.cos(halfAngle)
+    );
+  }
+
+  // Create identity quaternion
+  static identity() {
+    return new Quaternion(0, 0, 0, 1);
+  }
+
+  static fromArray(arr) { return new Quaternion(arr[0], arr[1], arr[2], arr[3]); }
+  toArray() { return [this.x, this.y, this.z, this.w]; }
+  copy() { return new Quaternion(this.x, this.y, this.z, this.w); }
+
+  // Inverse rotation (for unit quaternions)
+  conjugate() { return new Quaternion(-this.x, -this.y, -this.z, this.w); }
+
+  // Slerp interpolation between two quaternions
+  slerp(q, t) {
+    let dot = this.x*q.x + this.y*q.y + this.z*q.z + this.w*q.w;
+
+    // If the dot product is negative, the quaternions have opposite handed-ness
+    let q2 = q;
+    if (dot < 0.0) {
+      q2 = new Quaternion(-q.x, -q.y, -q.z, -q.w);
+      dot = -dot;
+    }
+
+    // If the inputs are too close, use linear interpolation
+    if (dot > 0.9995) {
+      return new Quaternion(
+        this.x + t * (q2.x - this.x),
+        this.y + t * (q2.y - this.y),
+        this.z + t * (q2.z - this.z),
+        this.w + t * (q2.w - this.w)
+      ).normalize();
+    }
+
+    // Calculate angle between quaternions
+    const theta_0 = Math.acos(dot);
+    const theta = theta_0 * t;
+    const sin_theta = Math.sin(theta);
+    const sin_theta_0 = Math.sin(theta_0);
+
+    const s0 = Math.cos(theta) - dot * sin_theta / sin_theta_0;
+    const s1 = sin_theta / sin_theta_0;
+
+    return new Quaternion(
+      s0 * this.x + s1 * q2.x,
+      s0 * this.y + s1 * q2.y,
+      s0 * this.z + s1 * q2.z,
+      s0 * this.w + s1 * q2.w
+    );
+  }
+
+  // Normalize quaternion
+  normalize() {
+    const length = Math.sqrt(this.x*this.x + this.y*this.y + this.z*this.z + this.w*this.w);
+    if (length > 0) {
+      return new Quaternion(
+        this.x / length,
+        this.y / length,
+        this.z / length,
+        this.w / length
+      );
+    }
+    return new Quaternion(0, 0, 0, 1);
+  }
+
+  // Convert to Euler angles (XYZ order)
+  toEuler() {
+    const x = this.x, y = this.y, z = this.z, w = this.w;
+    const sinr_cosp = 2 * (w * x + y * z);
+    const cosr_cosp = 1 - 2 * (x * x + y * y);
+    const roll = Math.atan2(sinr_cosp, cosr_cosp);
+
+    const sinp = 2 * (w * y - z * x);
+    let pitch;
+    if (Math.abs(sinp) >= 1) {
+      pitch = Math.sign(sinp) * Math.PI / 2;
+    } else {
+      pitch = Math.asin(sinp);
+    }
+
+    const siny_cosp = 2 * (w * z + x * y);
+    const cosy_cosp = 1 - 2 * (y * y + z * z);
+    const yaw = Math.atan2(siny_cosp, cosy_cosp);
+
+    return new Vec3(roll, pitch, yaw);
+  }
+}
+
+// Row-major 3x3 matrix, used for inertia tensors and rotations
+export class Mat3 {
+  constructor(e = [1,0,0, 0,1,0, 0,0,1]) { this.e = e; }
+
+  static identity() { return new Mat3(); }
+  static diagonal(x, y, z) { return new Mat3([x,0,0, 0,y,0, 0,0,z]); }
+
+  // Rotation matrix of a unit quaternion
+  static fromQuaternion(q) {
+    const { x, y, z, w } = q;
+    return new Mat3([
+      1 - 2*(y*y + z*z), 2*(x*y - z*w),     2*(x*z + y*w),
+      2*(x*y + z*w),     1 - 2*(x*x + z*z), 2*(y*z - x*w),
+      2*(x*z - y*w),     2*(y*z + x*w),     1 - 2*(x*x + y*y)
+    ]);
+  }
+
+  multiplyVec(v) {
+    const e = this.e;
+    return new Vec3(
+      e[0]*v.x + e[1]*v.y + e[2]*v.z,
+      e[3]*v.x + e[4]*v.y + e[5]*v.z,
+      e[6]*v.x + e[7]*v.y + e[8]*v.z
+    );
+  }
+
+  multiply(m) {
+    const a = this.e, b = m.e, r = new Array(9);
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        r[i*3+j] = a[i*3]*b[j] + a[i*3+1]*b[3+j] + a[i*3+2]*b[6+j];
+      }
+    }
+    return new Mat3(r);
+  }
+
+  add(m) { return new Mat3(this.e.map((v, i) => v + m.e[i])); }
+  scale(s) { return new Mat3(this.e.map(v => v * s)); }
+  transpose() {
+    const e = this.e;
+    return new Mat3([e[0],e[3],e[6], e[1],e[4],e[7], e[2],e[5],e[8]]);
+  }
+
+  // Inverse, or the zero matrix if singular (e.g. the tensor of a static body)
+  invert() {
+    const [a,b,c, d,e,f, g,h,i] = this.e;
+    const A = e*i - f*h, B = -(d*i - f*g), C = d*h - e*g;
+    const det = a*A + b*B + c*C;
+    if (Math.abs(det) < 1e-12) return new Mat3([0,0,0, 0,0,0, 0,0,0]);
+    const s = 1 / det;
+    return new Mat3([
+      A*s, -(b*i - c*h)*s, (b*f - c*e)*s,
+      B*s, (a*i - c*g)*s, -(a*f - c*d)*s,
+      C*s, -(a*h - b*g)*s, (a*e - b*d)*s
+    ]);
+  }
+}
@@ -0,0 +1,635 @@
+import { Vec3 } from './math.js';
+import { SHAPE_TYPE, featurePoints, shapeAABB } from './shapes.js';
+
+// --- Narrowphase ---
+// Every test works on colliders { shape, position, orientation } and returns an
+// array of contacts { point, normal, depth }, with `normal` pointing from B
+// towards A. An empty array means the shapes are apart. With a `margin`, shapes
+// closer than that also report contacts, with a negative depth (the gap), so
+// resting contacts don't flicker on and off; GJK/EPA finds those by running on
+// A grown by the margin.
+//
+//   sphere-sphere, sphere-box, sphere-cylinder   analytic (oriented)
+//   box-box                                      SAT over 15 axes + face clipping
+//   boxes, hulls and cylinders among themselves  GJK + EPA normal + face clipping
+//   anything else convex                         GJK + EPA on support functions
+//   compound                                     recurse into each part
+//   heightfield vs anything                      feature points against nearby triangles
+
+const EPSILON = 1e-9;
+const GJK_MAX_ITERATIONS = 64;
+const EPA_MAX_ITERATIONS = 64;
+const EPA_TOLERANCE = 1e-4;
+
+const AXES = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)];
+
+export function collideBodies(a, b, margin = 0) {
+  return collide(
+    { shape: a.shape, position: a.position, orientation: a.orientation },
+    { shape: b.shape, position: b.position, orientation: b.orientation },
+    margin
+  );
+}
+
+export function collide(a, b, margin = 0) {
+  if (a.shape.type === SHAPE_TYPE.CUSTOM) {
+    return parts(a).flatMap(part => collide(part, b, margin));
+  }
+  if (b.shape.type === SHAPE_TYPE.CUSTOM) {
+    return parts(b).flatMap(part => collide(a, part, margin));
+  }
+
+  const ta = a.shape.type, tb = b.shape.type;
+  if (ta === SHAPE_TYPE.HEIGHTFIELD && tb === SHAPE_TYPE.HEIGHTFIELD) return [];
+  if (tb === SHAPE_TYPE.HEIGHTFIELD) return heightfield(b, a, margin);
+  if (ta === SHAPE_TYPE.HEIGHTFIELD) return flip(heightfield(a, b, margin));
+  if (ta === SHAPE_TYPE.SPHERE && tb === SHAPE_TYPE.SPHERE) return sphereSphere(a, b, margin);
+  if (ta === SHAPE_TYPE.SPHERE && tb === SHAPE_TYPE.BOX) return sphereBox(a, b, margin);
+  if (ta === SHAPE_TYPE.BOX && tb === SHAPE_TYPE.SPHERE) return flip(sphereBox(b, a, margin));
+  if (ta === SHAPE_TYPE.SPHERE && tb === SHAPE_TYPE.CYLINDER) return sphereCylinder(a, b, margin);
+  if (ta === SHAPE_TYPE.CYLINDER && tb === SHAPE_TYPE.SPHERE) return flip(sphereCylinder(b, a, margin));
+  if (ta === SHAPE_TYPE.BOX && tb === SHAPE_TYPE.BOX) return boxBox(a, b, margin);
+  if (hasFaces(a) && hasFaces(b)) return faceContacts(a, b, margin);
+  return gjkEpa(a, b, margin);
+}
+
+// Parts of a compound collider, placed in world space
+function parts(c) {
+  return c.shape.shapes.map(s => ({
+    shape: s.shape,
+    position: c.position.add(c.orientation.rotateVector(s.offset)),
+    orientation: c.orientation
+  }));
+}
+
+function flip(contacts) {
+  return contacts.map(c => ({ point: c.point, normal: c.normal.mul(-1), depth: c.depth }));
+}
+
+// --- Analytic sphere tests ---
+function sphereSphere(a, b, margin) {
+  const d = a.position.sub(b.position);
+  const dist = d.length();
+  const depth = a.shape.radius + b.shape.radius - dist;
+  if (depth <= -margin) return [];
+  const normal = dist > EPSILON ? d.mul(1 / dist) : new Vec3(0, 1, 0);
+  const point = b.position.add(normal.mul(b.shape.radius - depth / 2));
+  return [{ point, normal, depth }];
+}
+
+// Closest point on a solid convex shape (given in its local space) to a sphere
+// centre; `inside` gives the push-out normal and distance when the centre is inside.
+function sphereVsLocal(sphere, other, closestLocal, inside, margin) {
+  const q = other.orientation;
+  const local = q.conjugate().rotateVector(sphere.position.sub(other.position));
+  const closest = closestLocal(local);
+  const delta = local.sub(closest);
+  const dist = delta.length();
+  const r = sphere.shape.radius;
+  if (dist >= r + margin) return [];
+
+  if (dist > EPSILON) {
+    const normal = q.rotateVector(delta.mul(1 / dist));
+    return [{ point: other.position.add(q.rotateVector(closest)), normal, depth: r - dist }];
+  }
+  const exit = inside(local);
+  return [{ point: sphere.position, normal: q.rotateVector(exit.normal), depth: exit.distance + r }];
+}
+
+function sphereBox(sphere, box, margin) {
+  const h = box.shape.halfExtents;
+  return sphereVsLocal(sphere, box,
+    p => new Vec3(
+      Math.max(-h.x, Math.min(p.x, h.x)),
+      Math.max(-h.y, Math.min(p.y, h.y)),
+      Math.max(-h.z, Math.min(p.z, h.z))
+    ),
+    p => {
+      // Leave through the nearest face
+      let best = null;
+      for (const axis of ['x', 'y', 'z']) {
+        const gap = h[axis] - Math.abs(p[axis]);
+        if (!best || gap < best.distance) {
+          const normal = Vec3.zero();
+          normal[axis] = p[axis] < 0 ? -1 : 1;
+          best = { normal, distance: gap };
+        }
+      }
+      return best;
+    }, margin);
+}
+
+function sphereCylinder(sphere, cylinder, margin) {
+  const { radius, height } = cylinder.shape;
+  const hh = height / 2;
+  return sphereVsLocal(sphere, cylinder,
+    p => {
+      const radial = Math.sqrt(p.x*p.x + p.z*p.z);
+      const s = radial > radius ? radius / radial : 1;
+      return new Vec3(p.x * s, Math.max(-hh, Math.min(p.y, hh)), p.z * s);
+    },
+    p => {
+      // Leave through the side or the nearer cap, whichever is closer
+      const radial = Math.sqrt(p.x*p.x + p.z*p.z);
+      const sideGap = radius - radial;
+      const capGap = hh - Math.abs(p.y);
+      if (capGap < sideGap || radial < EPSILON) {
+        return { normal: new Vec3(0, p.y < 0 ? -1 : 1, 0), distance: capGap };
+      }
+      return { normal: new Vec3(p.x / radial, 0, p.z / radial), distance: sideGap };
+    }, margin);
+}
+
+// --- Oriented boxes: separating axis test ---
+function boxAxes(box) {
+  return AXES.map(axis => box.orientation.rotateVector(axis));
+}
+
+function boxExtents(box) {
+  const h = box.shape.halfExtents;
+  return [h.x, h.y, h.z];
+}
+
+function projectedRadius(axes, extents, dir) {
+  return extents[0] * Math.abs(axes[0].dot(dir)) +
+         extents[1] * Math.abs(axes[1].dot(dir)) +
+         extents[2] * Math.abs(axes[2].dot(dir));
+}
+
+function boxBox(a, b, margin) {
+  const axesA = boxAxes(a), axesB = boxAxes(b);
+  const extA = boxExtents(a), extB = boxExtents(b);
+  const t = b.position.sub(a.position);
+
+  let best = null;
+  const test = (axis, kind, i, j) => {
+    const len = axis.length();
+    if (len < 1e-6) return true; // parallel edges give no new axis
+    const dir = axis.mul(1 / len);
+    const overlap = projectedRadius(axesA, extA, dir) + projectedRadius(axesB, extB, dir) - Math.abs(t.dot(dir));
+    if (overlap < -margin) return false;
+    // Prefer face axes over nearly-equal edge axes for stable manifolds
+    const score = kind === 'edge' ? overlap * 1.05 + 1e-4 : overlap;
+    if (!best || score < best.score) best = { dir, overlap, kind, i, j, score };
+    return true;
+  };
+
+  for (let i = 0; i < 3; i++) if (!test(axesA[i], 'faceA', i)) return [];
+  for (let i = 0; i < 3; i++) if (!test(axesB[i], 'faceB', i)) return [];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      if (!test(axesA[i].cross(axesB[j]), 'edge', i, j)) return [];
+    }
+  }
+
+  // Normal from B towards A
+  const normal = t.dot(best.dir) > 0 ? best.dir.mul(-1) : best.dir;
+
+  if (best.kind === 'edge') {
+    const toB = normal.mul(-1);
+    const edgeA = supportEdge(a, axesA, extA, best.i, toB);
+    const edgeB = supportEdge(b, axesB, extB, best.j, normal);
+    const [pa, pb] = closestPointsOnLines(edgeA.center, edgeA.dir, edgeB.center, edgeB.dir);
+    return [{ point: pa.add(pb).mul(0.5), normal, depth: best.overlap }];
+  }
+
+  // Face contact: clip the incident face against the reference face's sides
+  const refIsA = best.kind === 'faceA';
+  const ref = refIsA ? a : b, inc = refIsA ? b : a;
+  const refAxes = refIsA ? axesA : axesB, incAxes = refIsA ? axesB : axesA;
+  const refExt = refIsA ? extA : extB, incExt = refIsA ? extB : extA;
+  const refNormal = refIsA ? normal.mul(-1) : normal; // points from reference into incident
+
+  const i = best.i;
+  const refSign = refAxes[i].dot(refNormal) > 0 ? 1 : -1;
+  const faceNormal = refAxes[i].mul(refSign);
+  const faceCenter = ref.position.add(faceNormal.mul(refExt[i]));
+
+  const incidentFace = mostAntiParallelFace(inc, incAxes, incExt, faceNormal);
+  let polygon = incidentFace;
+  for (const k of [0, 1, 2]) {
+    if (k === i) continue;
+    const side = refAxes[k];
+    const offset = side.dot(ref.position);
+    polygon = clipPolygon(polygon, side, offset + refExt[k]);
+    polygon = clipPolygon(polygon, side.mul(-1), -offset + refExt[k]);
+  }
+
+  const contacts = [];
+  const faceOffset = faceNormal.dot(faceCenter);
+  for (const p of polygon) {
+    const depth = faceOffset - faceNormal.dot(p);
+    if (depth >= -margin) {
+      contacts.push({ point: p.add(faceNormal.mul(depth / 2)), normal, depth });
+    }
+  }
+  return reduceManifold(contacts);
+}
+
+// At most four points that span the contact area: the deepest point, the one
+// farthest from it, then the ones adding the most area on either side. Extra
+// clip points wander from step to step and spoil the solver's warm starting.
+function reduceManifold(contacts) {
+  if (contacts.length <= 4) return contacts;
+  const n = contacts[0].normal;
+  const first = contacts.reduce((m, c) => c.depth > m.depth ? c : m);
+  const second = contacts.reduce((m, c) =>
+    c.point.sub(first.point).lengthSq() > m.point.sub(first.point).lengthSq() ? c : m);
+  const edge = second.point.sub(first.point);
+  const side = c => edge.cross(c.point.sub(first.point)).dot(n);
+  const third = contacts.reduce((m, c) => side(c) > side(m) ? c : m);
+  const fourth = contacts.reduce((m, c) => side(c) < side(m) ? c : m);
+  return [...new Set([first, second, third, fourth])];
+}
+
+function supportEdge(box, axes, ext, axisIndex, dir) {
+  let center = box.position;
+  for (let k = 0; k < 3; k++) {
+    if (k === axisIndex) continue;
+    center = center.add(axes[k].mul(ext[k] * (axes[k].dot(dir) > 0 ? 1 : -1)));
+  }
+  return { center, dir: axes[axisIndex] };
+}
+
+function closestPointsOnLines(p1, d1, p2, d2) {
+  const r = p1.sub(p2);
+  const a = d1.dot(d1), e = d2.dot(d2), f = d2.dot(r);
+  const c = d1.dot(r), b = d1.dot(d2);
+  const denom = a * e - b * b;
+  const s = Math.abs(denom) > EPSILON ? (b * f - c * e) / denom : 0;
+  const u = (b * s + f) / e;
+  return [p1.add(d1.mul(s)), p2.add(d2.mul(u))];
+}
+
+function mostAntiParallelFace(box, axes, ext, n) {
+  let best = 0, bestDot = Infinity, sign = 1;
+  for (let k = 0; k < 3; k++) {
+    const d = axes[k].dot(n);
+    if (-Math.abs(d) < bestDot) {
+      bestDot = -Math.abs(d);
+      best = k;
+      sign = d > 0 ? -1 : 1;
+    }
+  }
+  const center = box.position.add(axes[best].mul(sign * ext[best]));
+  const [u, v] = [0, 1, 2].filter(k => k !== best);
+  const du = axes[u].mul(ext[u]), dv = axes[v].mul(ext[v]);
+  return [
+    center.add(du).add(dv),
+    center.sub(du).add(dv),
+    center.sub(du).sub(dv),
+    center.add(du).sub(dv)
+  ];
+}
+
+// Sutherland-Hodgman: keep the part of the polygon where p.dot(n) <= offset
+function clipPolygon(polygon, n, offset) {
+  const out = [];
+  for (let k = 0; k < polygon.length; k++) {
+    const p = polygon[k], q = polygon[(k + 1) % polygon.length];
+    const dp = p.dot(n) - offset, dq = q.dot(n) - offset;
+    if (dp <= 0) out.push(p);
+    if ((dp < 0 && dq > 0) || (dp > 0 && dq < 0)) {
+      out.push(p.add(q.sub(p).mul(dp / (dp - dq))));
+    }
+  }
+  return out;
+}
+
+// --- Faces: boxes, hulls and cylinders ---
+const FACE_SHAPES = [SHAPE_TYPE.BOX, SHAPE_TYPE.HULL, SHAPE_TYPE.CYLINDER];
+const hasFaces = c => FACE_SHAPES.includes(c.shape.type);
+
+// Below this alignment between the EPA normal and the best face, the contact
+// is an edge or corner and keeps the single EPA point
+const FACE_ALIGNMENT = 0.9;
+// Corners of the polygon standing in for a cylinder's cap
+const CAP_SEGMENTS = 12;
+
+// Face of a box, hull or cylinder whose outward normal is closest to world
+// `dir`, as { normal, points } in world space. A cylinder's faces are its caps
+// (as polygons) and the line down its side facing `dir`.
+function extremeFace(c, dir) {
+  const q = c.orientation;
+  const d = q.conjugate().rotateVector(dir);
+  let normal, points;
+  if (c.shape.type === SHAPE_TYPE.BOX) {
+    const h = c.shape.halfExtents;
+    const k = ['x', 'y', 'z'].reduce((m, axis) => Math.abs(d[axis]) > Math.abs(d[m]) ? axis : m);
+    const [u, v] = ['x', 'y', 'z'].filter(axis => axis !== k);
+    const sign = d[k] >= 0 ? 1 : -1;
+    normal = Vec3.zero();
+    normal[k] = sign;
+    points = [[1, 1], [-1, 1], [-1, -1], [1, -1]].map(([su, sv]) => {
+      const p = Vec3.zero();
+      p[k] = sign * h[k];
+      p[u] = su * h[u];
+      p[v] = sv * h[v];
+      return p;
+    });
+  } else if (c.shape.type === SHAPE_TYPE.HULL) {
+    const { normals, faces, vertices } = c.shape;
+    let best = 0;
+    for (let i = 1; i < normals.length; i++) if (normals[i].dot(d) > normals[best].dot(d)) best = i;
+    normal = normals[best];
+    points = faces[best].map(i => vertices[i]);
+  } else {
+    const { radius, height } = c.shape;
+    const radial = Math.sqrt(d.x*d.x + d.z*d.z);
+    if (Math.abs(d.y) >= radial) {
+      const y = d.y >= 0 ? height / 2 : -height / 2;
+      normal = new Vec3(0, Math.sign(y), 0);
+      points = [];
+      for (let k = 0; k < CAP_SEGMENTS; k++) {
+        const angle = 2 * Math.PI * k / CAP_SEGMENTS;
+        points.push(new Vec3(radius * Math.cos(angle), y, radius * Math.sin(angle)));
+      }
+    } else {
+      normal = new Vec3(d.x / radial, 0, d.z / radial);
+      const rim = normal.mul(radius);
+      points = [rim.add(new Vec3(0, -height / 2, 0)), rim.add(new Vec3(0, height / 2, 0))];
+    }
+  }
+  return { normal: q.rotateVector(normal), points: points.map(p => c.position.add(q.rotateVector(p))) };
+}
+
+// EPA finds the normal; the manifold comes from clipping the incident face
+// against the sides of the reference face, as for two boxes. A cylinder's side
+// is a line, so it is only the reference face against another line (two
+// cylinders lying side by side), and then clips to the overlap along it.
+function faceContacts(a, b, margin) {
+  const found = gjkEpa(a, b, margin);
+  if (!found.length) return found;
+  const n = found[0].normal;
+  const faceA = extremeFace(a, n.mul(-1)), faceB = extremeFace(b, n);
+  const alignA = -faceA.normal.dot(n), alignB = faceB.normal.dot(n);
+  if (Math.max(alignA, alignB) < FACE_ALIGNMENT) return found;
+
+  const isLine = face => face.points.length === 2;
+  let refIsA = alignA >= alignB - 1e-3;
+  if (isLine(refIsA ? faceA : faceB) && !isLine(refIsA ? faceB : faceA)) refIsA = !refIsA;
+  const ref = refIsA ? faceA : faceB; // its normal points into the incident body
+  const incident = extremeFace(refIsA ? b : a, ref.normal.mul(-1));
+  let polygon = incident.points;
+  if (isLine(ref)) {
+    if (!isLine(incident)) return found;
+    const [p, q] = ref.points, along = q.sub(p).normalize();
+    // Crossed lines touch at a point, which EPA already has
+    if (Math.abs(along.dot(incident.points[1].sub(incident.points[0]).normalize())) < FACE_ALIGNMENT) return found;
+    polygon = clipPolygon(clipPolygon(polygon, along, along.dot(q)), along.mul(-1), -along.dot(p));
+  } else {
+    const centre = ref.points.reduce((sum, p) => sum.add(p), Vec3.zero()).mul(1 / ref.points.length);
+    for (let k = 0; k < ref.points.length && polygon.length; k++) {
+      const p = ref.points[k], q = ref.points[(k + 1) % ref.points.length];
+      let side = q.sub(p).cross(ref.normal);
+      if (side.dot(centre.sub(p)) > 0) side = side.mul(-1);
+      polygon = clipPolygon(polygon, side, side.dot(p));
+    }
+  }
+  // Clipping a line as a two-sided polygon repeats its cut ends
+  polygon = polygon.filter((p, k) => polygon.findIndex(other => other.sub(p).lengthSq() < 1e-12) === k);
+
+  const normal = refIsA ? ref.normal.mul(-1) : ref.normal;
+  const offset = ref.normal.dot(ref.points[0]);
+  const contacts = [];
+  for (const p of polygon) {
+    const depth = offset - ref.normal.dot(p);
+    if (depth >= -margin) contacts.push({ point: p.add(ref.normal.mul(depth / 2)), normal, depth });
+  }
+  return contacts.length ? reduceManifold(contacts) : found;
+}
+
+// --- Heightfield terrain ---
+// Projections this far outside a triangle (in barycentric terms) still count,
+// so points over a shared edge aren't lost between two triangles
+const TRIANGLE_TOLERANCE = 0.05;
+// Points around each cap of a cylinder, since its lowest rim point along one
+// triangle's normal is usually over a different triangle
+const RIM_SAMPLES = 8;
+
+function cylinderRim(c) {
+  const { radius, height } = c.shape;
+  const points = [];
+  for (let k = 0; k < RIM_SAMPLES; k++) {
+    const angle = 2 * Math.PI * k / RIM_SAMPLES;
+    for (const y of [-height / 2, height / 2]) {
+      points.push(c.position.add(c.orientation.rotateVector(new Vec3(radius * Math.cos(angle), y, radius * Math.sin(angle)))));
+    }
+  }
+  return points;
+}
+
+// Contacts of a convex collider `c` with the triangles under its bounds, with
+// normals pointing from the terrain up towards `c`. Like bodies meeting the
+// ground, each triangle's plane is tested against the shape's feature points
+// along its normal (a sphere's lowest point, box corners, cylinder rims, hull
+// vertices) that lie over the triangle. Testing planes rather than edges keeps
+// a sphere rolling over the seams of flat ground from being knocked sideways;
+// the cost is that a flat face resting on a peak narrower than the face has
+// no point over the peak, so it can sink until one is.
+function heightfield(terrain, c, margin) {
+  const field = terrain.shape, origin = terrain.position;
+  const bounds = shapeAABB(c.shape, c.position, c.orientation);
+  if (bounds.min.y - origin.y > field.maxHeight + margin) return [];
+  const toCell = (x, z) => [
+    Math.floor((x - origin.x + field.width / 2) / field.spacing),
+    Math.floor((z - origin.z + field.depth / 2) / field.spacing)
+  ];
+  const [col0, row0] = toCell(bounds.min.x - margin, bounds.min.z - margin);
+  const [col1, row1] = toCell(bounds.max.x + margin, bounds.max.z + margin);
+
+  const rim = c.shape.type === SHAPE_TYPE.CYLINDER ? cylinderRim(c) : [];
+  const contacts = [];
+  for (let row = Math.max(row0, 0); row <= Math.min(row1, field.rows - 2); row++) {
+    for (let col = Math.max(col0, 0); col <= Math.min(col1, field.cols - 2); col++) {
+      for (const triangle of field.cellTriangles(row, col)) {
+        const [p0, p1, p2] = triangle.map(v => v.add(origin));
+        const n = p1.sub(p0).cross(p2.sub(p0)).normalize();
+        const offset = p0.dot(n);
+        for (const p of featurePoints(c.shape, c.position, c.orientation, n).concat(rim)) {
+          const depth = offset - p.dot(n);
+          if (depth <= -margin) continue;
+          const weights = barycentric(p.add(n.mul(depth)), p0, p1, p2);
+          if (weights.some(w => w < -TRIANGLE_TOLERANCE)) continue;
+          contacts.push({ point: p.add(n.mul(depth / 2)), normal: n, depth });
+        }
+      }
+    }
+  }
+  return contacts;
+}
+
+// --- General convex: GJK + EPA ---
+// Farthest point of a convex collider in world direction `dir`
+export function support(c, dir) {
+  const q = c.orientation;
+  const d = q.conjugate().rotateVector(dir);
+  let local;
+  if (c.shape.type === SHAPE_TYPE.SPHERE) {
+    local = d.normalize().mul(c.shape.radius);
+  } else if (c.shape.type === SHAPE_TYPE.BOX) {
+    const h = c.shape.halfExtents;
+    local = new Vec3(d.x >= 0 ? h.x : -h.x, d.y >= 0 ? h.y : -h.y, d.z >= 0 ? h.z : -h.z);
+  } else if (c.shape.type === SHAPE_TYPE.CYLINDER) {
+    const radial = Math.sqrt(d.x*d.x + d.z*d.z);
+    const s = radial > EPSILON ? c.shape.radius / radial : 0;
+    local = new Vec3(d.x * s, d.y >= 0 ? c.shape.height / 2 : -c.shape.height / 2, d.z * s);
+  } else if (c.shape.type === SHAPE_TYPE.HULL) {
+    local = c.shape.vertices[0];
+    let best = local.dot(d);
+    for (const v of c.shape.vertices) {
+      const dot = v.dot(d);
+      if (dot > best) { best = dot; local = v; }
+    }
+  } else {
+    throw new Error('support() needs a convex shape');
+  }
+  return c.position.add(q.rotateVector(local));
+}
+
+// Support point of the Minkowski difference A - B, remembering the point on
+// A; A is grown by `margin` all round
+function minkowski(a, b, dir, margin = 0) {
+  const pa = margin > 0 ? support(a, dir).add(dir.normalize().mul(margin)) : support(a, dir);
+  const pb = support(b, dir.mul(-1));
+  return { p: pa.sub(pb), a: pa };
+}
+
+function gjkEpa(a, b, margin = 0) {
+  let dir = a.position.sub(b.position);
+  if (dir.lengthSq() < EPSILON) dir = new Vec3(1, 0, 0);
+
+  // Simplex vertices, newest first
+  let c = minkowski(a, b, dir, margin);
+  dir = c.p.mul(-1);
+  let bb = minkowski(a, b, dir, margin);
+  if (bb.p.dot(dir) < 0) return [];
+
+  const cb = c.p.sub(bb.p);
+  dir = cb.cross(bb.p.mul(-1)).cross(cb);
+  if (dir.lengthSq() < EPSILON) {
+    dir = cb.cross(new Vec3(1, 0, 0));
+    if (dir.lengthSq() < EPSILON) dir = cb.cross(new Vec3(0, 0, -1));
+  }
+
+  let d = null;
+  let dim = 2;
+  for (let iter = 0; iter < GJK_MAX_ITERATIONS; iter++) {
+    const aa = minkowski(a, b, dir, margin);
+    if (aa.p.dot(dir) < 0) return [];
+    dim++;
+
+    if (dim === 3) {
+      // Triangle case
+      const ab = bb.p.sub(aa.p), ac = c.p.sub(aa.p), ao = aa.p.mul(-1);
+      const n = ab.cross(ac);
+      dim = 2;
+      if (ab.cross(n).dot(ao) > 0) {
+        c = aa;
+        dir = ab.cross(ao).cross(ab);
+        continue;
+      }
+      if (n.cross(ac).dot(ao) > 0) {
+        bb = aa;
+        dir = ac.cross(ao).cross(ac);
+        continue;
+      }
+      dim = 3;
+      if (n.dot(ao) > 0) {
+        d = c; c = bb; bb = aa;
+        dir = n;
+      } else {
+        d = bb; bb = aa;
+        dir = n.mul(-1);
+      }
+      continue;
+    }
+
+    // Tetrahedron case
+    const ao = aa.p.mul(-1);
+    const abc = bb.p.sub(aa.p).cross(c.p.sub(aa.p));
+    const acd = c.p.sub(aa.p).cross(d.p.sub(aa.p));
+    const adb = d.p.sub(aa.p).cross(bb.p.sub(aa.p));
+    dim = 3;
+    if (abc.dot(ao) > 0) { d = c; c = bb; bb = aa; dir = abc; continue; }
+    if (acd.dot(ao) > 0) { bb = aa; dir = acd; continue; }
+    if (adb.dot(ao) > 0) { c = d; d = bb; bb = aa; dir = adb; continue; }
+    return epa(a, b, aa, bb, c, d, margin);
+  }
+  return [];
+}
+
+function makeFace(v0, v1, v2) {
+  const n = v1.p.sub(v0.p).cross(v2.p.sub(v0.p)).normalize();
+  return { v: [v0, v1, v2], n };
+}
+
+function epa(a, b, va, vb, vc, vd, margin) {
+  let faces = [
+    makeFace(va, vb, vc),
+    makeFace(va, vc, vd),
+    makeFace(va, vd, vb),
+    makeFace(vb, vd, vc)
+  ];
+
+  let closest = null;
+  for (let iter = 0; iter < EPA_MAX_ITERATIONS; iter++) {
+    closest = null;
+    let minDist = Infinity;
+    for (const f of faces) {
+      const dist = f.v[0].p.dot(f.n);
+      if (dist < minDist) { minDist = dist; closest = f; }
+    }
+
+    const p = minkowski(a, b, closest.n, margin);
+    if (p.p.dot(closest.n) - minDist < EPA_TOLERANCE) break;
+
+    // Remove every face that can see the new point and re-stitch the hole
+    const looseEdges = [];
+    faces = faces.filter(f => {
+      if (f.n.dot(p.p.sub(f.v[0].p)) <= 0) return true;
+      for (let k = 0; k < 3; k++) {
+        const e = [f.v[k], f.v[(k + 1) % 3]];
+        const shared = looseEdges.findIndex(l => l[0] === e[1] && l[1] === e[0]);
+        if (shared >= 0) looseEdges.splice(shared, 1);
+        else looseEdges.push(e);
+      }
+      return false;
+    });
+    for (const [e0, e1] of looseEdges) {
+      const face = makeFace(e0, e1, p);
+      // Keep normals pointing away from the origin
+      if (face.v[0].p.dot(face.n) < -1e-6) {
+        faces.push(makeFace(e1, e0, p));
+      } else {
+        faces.push(face);
+      }
+    }
+    if (!faces.length) return [];
+  }
+
+  const n = closest.n;
+  const grown = closest.v[0].p.dot(n);
+  if (!(grown > 0)) return [];
+
+  // Project the origin onto the closest face and map it back onto A
+  const [w0, w1, w2] = barycentric(n.mul(grown), closest.v[0].p, closest.v[1].p, closest.v[2].p);
+  const onGrownA = closest.v[0].a.mul(w0).add(closest.v[1].a.mul(w1)).add(closest.v[2].a.mul(w2));
+  // A - B overlaps by `grown` along n, so B -> A points the other way; taking
+  // the margin back off gives the true depth (negative for a gap)
+  const normal = n.mul(-1);
+  const depth = grown - margin;
+  const onA = onGrownA.add(normal.mul(margin));
+  return [{ point: onA.add(normal.mul(depth / 2)), normal, depth }];
+}
+
+function barycentric(p, a, b, c) {
+  const v0 = b.sub(a), v1 = c.sub(a), v2 = p.sub(a);
+  const d00 = v0.dot(v0), d01 = v0.dot(v1), d11 = v1.dot(v1);
+  const d20 = v2.dot(v0), d21 = v2.dot(v1);
+  const denom = d00 * d11 - d01 * d01;
+  if (Math.abs(denom) < EPSILON) return [1, 0, 0];
+  const v = (d11 * d20 - d01 * d21) / denom;
+  const w = (d00 * d21 - d01 * d20) / denom;
+  return [1 - v - w, v, w];
+}
@@ -0,0 +1,24 @@
+// --- Seeded random numbers ---
+// mulberry32: a tiny 32-bit generator. The same seed always yields the same
+// sequence, so spawning with it (instead of Math.random) keeps runs replayable.
+export class Random {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Uniform in [0, 1)
+  next() {
+    let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) { return min + (max - min) * this.next(); }
+  pick(list) { return list[Math.floor(this.next() * list.length)]; }
+}
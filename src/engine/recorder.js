@@ -0,0 +1,109 @@
+import { Vec3, Quaternion } from './math.js';
+
+// --- Recording ---
+// Body states after every fixed step, kept in a ring buffer of `capacity`
+// frames (the oldest are overwritten). A frame is { time, step, ids, states }
+// with 13 numbers per body in `states`: position, orientation (x, y, z, w),
+// velocity and angular velocity. Bodies are matched to frames by id, so a
+// recording survives bodies being added or removed along the way.
+
+export const RECORDED_FIELDS = ['px', 'py', 'pz', 'qx', 'qy', 'qz', 'qw', 'vx', 'vy', 'vz', 'wx', 'wy', 'wz'];
+const STRIDE = RECORDED_FIELDS.length;
+
+export class Recorder {
+  constructor({ capacity = 1800 } = {}) {
+    this.capacity = capacity;
+    this.frames = [];
+    this.head = 0; // index of the oldest frame once the buffer is full
+    this.unsubscribe = null;
+  }
+
+  get length() { return this.frames.length; }
+  get recording() { return this.unsubscribe !== null; }
+
+  // Capture a frame after each of the world's fixed steps until stop()
+  record(world) {
+    if (!this.recording) this.unsubscribe = world.on('step', () => this.capture(world));
+  }
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+  clear() {
+    this.frames = [];
+    this.head = 0;
+  }
+
+  capture(world) {
+    const n = world.bodies.length;
+    const frame = { time: world.time, step: world.stepCount, ids: new Int32Array(n), states: new Float64Array(n * STRIDE) };
+    world.bodies.forEach((b, i) => {
+      const { position: p, orientation: q, velocity: v, angularVelocity: w } = b;
+      frame.ids[i] = b.id;
+      frame.states.set([p.x, p.y, p.z, q.x, q.y, q.z, q.w, v.x, v.y, v.z, w.x, w.y, w.z], i * STRIDE);
+    });
+    if (this.frames.length < this.capacity) {
+      this.frames.push(frame);
+    } else {
+      this.frames[this.head] = frame;
+      this.head = (this.head + 1) % this.capacity;
+    }
+  }
+
+  // The i-th oldest frame
+  frame(i) {
+    return this.frames[(this.head + i) % this.frames.length];
+  }
+
+  // Forget everything after frame i, e.g. to carry on simulating from it
+  truncate(i) {
+    const kept = [];
+    for (let k = 0; k <= i && k < this.length; k++) kept.push(this.frame(k));
+    this.frames = kept;
+    this.head = 0;
+  }
+
+  // Put the world's bodies back into their state at frame i. Bodies missing
+  // from the frame are left alone; returns the Set of ids it holds.
+  apply(world, i) {
+    const { ids, states } = this.frame(i);
+    ids.forEach((id, k) => {
+      const b = world.getBody(id);
+      if (!b) return;
+      const s = states.subarray(k * STRIDE, (k + 1) * STRIDE);
+      b.position = new Vec3(s[0], s[1], s[2]);
+      b.orientation = new Quaternion(s[3], s[4], s[5], s[6]);
+      b.velocity = new Vec3(s[7], s[8], s[9]);
+      b.angularVelocity = new Vec3(s[10], s[11], s[12]);
+      b.updateInertiaWorld();
+      b.savePreviousState();
+      b.wake();
+    });
+    return new Set(ids);
+  }
+
+  // Trajectories grouped by body: { fields, bodies: [{ id, samples: [[time, ...fields]] }] }
+  toJSON() {
+    const bodies = new Map();
+    for (let i = 0; i < this.length; i++) {
+      const { time, ids, states } = this.frame(i);
+      ids.forEach((id, k) => {
+        if (!bodies.has(id)) bodies.set(id, { id, samples: [] });
+        bodies.get(id).samples.push([time, ...states.subarray(k * STRIDE, (k + 1) * STRIDE)]);
+      });
+    }
+    return { fields: ['time', ...RECORDED_FIELDS], bodies: [...bodies.values()] };
+  }
+
+  // One row per body per frame
+  toCSV() {
+    const rows = [['time', 'step', 'id', ...RECORDED_FIELDS].join(',')];
+    for (let i = 0; i < this.length; i++) {
+      const { time, step, ids, states } = this.frame(i);
+      ids.forEach((id, k) => {
+        rows.push([time, step, id, ...states.subarray(k * STRIDE, (k + 1) * STRIDE)].join(','));
+      });
+    }
+    return rows.join('\n');
+  }
+}
@@ -0,0 +1,64 @@
+import { Vec3, Quaternion } from './math.js';
+
+// --- Remote state ---
+// How a body's motion travels between a world and its copy in another thread
+// (see worker.js): STATE_STRIDE numbers per body in a Float64Array, namely
+// id, position, orientation, velocity, angular velocity and sleeping (1/0).
+// A step's contacts go the same way, CONTACT_STRIDE numbers each: the two
+// body ids (-1 for the ground and walls), point, normal and depth.
+
+export const STATE_STRIDE = 15;
+
+// Bodies a worker creates itself (from emitters) are numbered from here up,
+// clear of the ones the page adds
+export const WORKER_IDS = 2 ** 30;
+
+export const CONTACT_STRIDE = 9;
+
+export function writeState(body, out, offset = 0) {
+  const { position: p, orientation: q, velocity: v, angularVelocity: w } = body;
+  out.set([body.id, p.x, p.y, p.z, q.x, q.y, q.z, q.w, v.x, v.y, v.z, w.x, w.y, w.z, body.sleeping ? 1 : 0], offset);
+}
+
+// Everything but the id; a body woken here doesn't wake its island, whose
+// other members come with their own state
+export function readState(body, state, offset = 0) {
+  const s = i => state[offset + i];
+  body.position = new Vec3(s(1), s(2), s(3));
+  body.orientation = new Quaternion(s(4), s(5), s(6), s(7));
+  body.updateInertiaWorld();
+  body.velocity = new Vec3(s(8), s(9), s(10));
+  body.angularVelocity = new Vec3(s(11), s(12), s(13));
+  if (s(14)) {
+    body.sleeping = true;
+  } else if (body.sleeping) {
+    body.sleeping = false;
+    body.sleepTimer = 0;
+    body.sleepIsland = null;
+  }
+}
+
+export function writeContacts(contacts) {
+  const out = new Float64Array(contacts.length * CONTACT_STRIDE);
+  contacts.forEach(({ a, b, point: p, normal: n, depth }, i) => {
+    out.set([a.id, b?.id ?? -1, p.x, p.y, p.z, n.x, n.y, n.z, depth], i * CONTACT_STRIDE);
+  });
+  return out;
+}
+
+// Contacts as `world.contacts` holds them, between the bodies `byId` maps
+// ids to; ones with a body it doesn't know are left out
+export function readContacts(data, byId) {
+  const contacts = [];
+  for (let i = 0; i < data.length; i += CONTACT_STRIDE) {
+    const a = byId.get(data[i]), b = data[i + 1] < 0 ? null : byId.get(data[i + 1]);
+    if (!a || b === undefined) continue;
+    contacts.push({
+      a, b,
+      point: new Vec3(data[i + 2], data[i + 3], data[i + 4]),
+      normal: new Vec3(data[i + 5], data[i + 6], data[i + 7]),
+      depth: data[i + 8]
+    });
+  }
+  return contacts;
+}
@@ -0,0 +1,503 @@
+import { Vec3, Quaternion } from './math.js';
+import { createShape, describeShape } from './shapes.js';
+import { RigidBody } from './body.js';
+import { JOINT_TYPE, createJoint } from './joints.js';
+import { FIELD_TYPE, createField } from './fields.js';
+import { createEmitter } from './emitters.js';
+import { COMBINE_MODE, PAIR_FIELDS } from './materials.js';
+
+// --- Scene files ---
+// A scene is plain JSON, so it can be exported, kept in browser storage or
+// written by hand. Version 1 looks like:
+//
+//   {
+//     format: 'approx-scene', version: 1,
+//     world: { gravity: [x, y, z], worldSize, fixedDt, substeps, allowSleep,
+//              seed, randomState, time, stepCount, accumulator, orbitMode, fluidMode,
+//              magneticMode, sunGravity, fluidDensity, magneticStrength, groundLevel,
+//              solver: { iterations, positionIterations, warmStarting,
+//                        warmStartFactor, positionCorrection, baumgarte, slop } },
+//     materials: [{ name, friction, restitution, staticFriction, rollingFriction }],
+//     materialLibrary: world.materials.toJSON(),
+//     bodies: [{ shape, mass, position, orientation: [x, y, z, w], velocity,
+//                angularVelocity, material, static, linearDamping,
+//                angularDamping, isSun, magneticCharge, fluidDensity,
+//                collisionGroup, collisionMask, isTrigger, kinematic, ccd,
+//                motion: { origin, offset, period, t } | null,
+//                ...front-end fields such as color or model }],
+//     joints: [joint.toJSON()],
+//     fields: [field.toJSON()],
+//     emitters: [emitter.toJSON()],
+//     camera: { position, target, fov } | null,
+//     settings: { ...front-end state such as timeScale or paused }
+//   }
+//
+// Shapes are `describeShape` output, `material` and the joints' `a`/`b` are
+// indices into `materials` and `bodies`, as are the bodies in each emitter's
+// `emitted` list. `materials` holds each body's own surface values (with
+// the name of the library material they came from); `materialLibrary` is the
+// world's library and combine rules. `materialLibrary`, `fields` and
+// `emitters` may be left out. Every `world` field is optional and
+// missing ones keep the world's current value; missing body fields after
+// `static` take the RigidBody defaults. Older files go through
+// `migrateScene` first; `readScene` does that and validates the result.
+
+export const SCENE_FORMAT = 'approx-scene';
+export const SCENE_VERSION = 1;
+
+const SHAPE_NAMES = ['sphere', 'box', 'cylinder', 'compound', 'hull', 'heightfield'];
+const SOLVER_FIELDS = ['iterations', 'positionIterations', 'warmStarting', 'warmStartFactor', 'positionCorrection', 'baumgarte', 'slop'];
+const BODY_FIELDS = ['linearDamping', 'angularDamping', 'isSun', 'magneticCharge', 'fluidDensity', 'collisionGroup', 'collisionMask', 'isTrigger', 'kinematic', 'ccd'];
+const SURFACE_FIELDS = ['friction', 'restitution', 'staticFriction', 'rollingFriction'];
+// Most substeps or solver iterations a scene may ask for, so a file can't stall a step
+const MAX_SUBSTEPS = 16;
+const MAX_ITERATIONS = 100;
+// Likewise for emitters and timed explosions, which could otherwise spawn
+// or detonate without end inside one step
+const MAX_EMIT_RATE = 100;
+const MAX_EMITTED = 1000;
+const MIN_EXPLOSION_INTERVAL = 0.01;
+// Steps shorter than this make `advance` run out its step budget every frame;
+// longer ones let fast bodies skip through each other
+const MIN_FIXED_DT = 1e-4;
+const MAX_FIXED_DT = 0.1;
+const MAX_SEED = 0xFFFFFFFF;
+// Sizes past which a scene would take too long to load or step
+const MAX_BODIES = 5000;
+const MAX_HEIGHTFIELD_CELLS = 256 * 256;
+const MAX_HULL_VERTICES = 1024;
+const WORLD_FIELDS = ['fixedDt', 'substeps', 'allowSleep', 'time', 'stepCount', 'accumulator', 'orbitMode', 'fluidMode', 'magneticMode', 'sunGravity', 'fluidDensity', 'magneticStrength', 'groundLevel'];
+
+// --- Writing ---
+
+// Scene for the world's current state. `describeBody(body)` adds front-end
+// fields to each body, `camera` and `settings` are stored as given.
+export function serializeScene(world, { camera = null, settings = {}, describeBody = () => ({}) } = {}) {
+  const materials = [];
+  const materialIndex = b => {
+    const entry = { name: b.materialType, ...Object.fromEntries(SURFACE_FIELDS.map(k => [k, b[k]])) };
+    let i = materials.findIndex(m => m.name === entry.name && SURFACE_FIELDS.every(k => m[k] === entry[k]));
+    if (i < 0) i = materials.push(entry) - 1;
+    return i;
+  };
+  const bodies = world.bodies.map(b => ({ ...writeBody(b, materialIndex(b)), ...describeBody(b) }));
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    world: writeWorld(world),
+    materials,
+    materialLibrary: world.materials.toJSON(),
+    bodies,
+    joints: world.joints.map(j => j.toJSON(b => world.bodies.indexOf(b))),
+    fields: world.fields.map(f => f.toJSON()),
+    emitters: world.emitters.map(e => e.toJSON(b => world.bodies.indexOf(b))),
+    camera,
+    settings
+  };
+}
+
+function writeWorld(world) {
+  return {
+    gravity: world.gravity.toArray(),
+    worldSize: world.bounds.x,
+    seed: world.random.seed,
+    randomState: world.random.state,
+    ...Object.fromEntries(WORLD_FIELDS.map(k => [k, world[k]])),
+    solver: Object.fromEntries(SOLVER_FIELDS.map(k => [k, world.solver[k]]))
+  };
+}
+
+function writeBody(b, material) {
+  return {
+    shape: describeShape(b.shape),
+    mass: b.mass,
+    position: b.position.toArray(),
+    orientation: b.orientation.toArray(),
+    velocity: b.velocity.toArray(),
+    angularVelocity: b.angularVelocity.toArray(),
+    material,
+    static: b.invMass === 0,
+    ...Object.fromEntries(BODY_FIELDS.map(k => [k, b[k]])),
+    motion: b.motion && { origin: b.motion.origin.toArray(), offset: b.motion.offset.toArray(), period: b.motion.period, t: b.motion.t }
+  };
+}
+
+// A single body's record outside a scene, with its surface values in place
+// of the material index; `bodyFromRecord` turns it back into a body
+export function bodyRecord(body) {
+  return writeBody(body, { name: body.materialType, ...Object.fromEntries(SURFACE_FIELDS.map(k => [k, body[k]])) });
+}
+
+// --- Migration ---
+
+// Shape of a body from an unversioned file, which only kept a type and sizes
+function legacyShape(item) {
+  if (item.shape) return item.shape;
+  if (item.type === 0) return { type: 'sphere', radius: item.size };
+  if (item.type === 1) return { type: 'box', size: item.size };
+  if (item.type === 2) return { type: 'cylinder', radius: item.size, height: item.height ?? 2 };
+  // Compound bodies were saved without their parts; validation reports them
+  return { type: 'compound', shapes: [] };
+}
+
+// MIGRATIONS[n] lifts a scene from version n to n + 1
+const MIGRATIONS = [
+  // 0: a bare array of bodies, or { bodies, joints }, each body with flat
+  // material fields
+  data => {
+    const materials = [];
+    const bodies = (data.bodies ?? []).map(item => {
+      const material = { name: item.materialType ?? 'custom', friction: item.friction ?? 0.3, restitution: item.restitution ?? 0.4 };
+      let index = materials.findIndex(m => m.name === material.name && m.friction === material.friction && m.restitution === material.restitution);
+      if (index < 0) index = materials.push(material) - 1;
+      const body = {
+        orientation: [0, 0, 0, 1],
+        velocity: [0, 0, 0],
+        angularVelocity: [0, 0, 0],
+        ...item,
+        shape: legacyShape(item),
+        material: index,
+        static: !!item.isSun
+      };
+      for (const key of ['type', 'size', 'height', 'friction', 'restitution', 'materialType']) delete body[key];
+      return body;
+    });
+    return { format: SCENE_FORMAT, version: 1, world: {}, materials, bodies, joints: data.joints ?? [], camera: null, settings: {} };
+  }
+];
+
+// The scene brought up to SCENE_VERSION; `data` may be from any earlier version
+export function migrateScene(data) {
+  let scene = Array.isArray(data) ? { bodies: data } : data;
+  if (!scene || typeof scene !== 'object') throw new Error('A scene file holds a JSON object');
+  let version = scene.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Unknown scene version: ${version}`);
+  if (version > SCENE_VERSION) throw new Error(`Scene version ${version} is newer than this sandbox supports (${SCENE_VERSION})`);
+  while (version < SCENE_VERSION) scene = MIGRATIONS[version++](scene);
+  return scene;
+}
+
+// --- Validation ---
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isVector = (v, n = 3) => Array.isArray(v) && v.length === n && v.every(isNumber);
+const isIndex = (v, list) => Number.isInteger(v) && v >= 0 && v < list.length;
+const isCount = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+function checkShape(shape, path, problems) {
+  if (!shape || typeof shape !== 'object') return problems.push(`${path} is missing`);
+  const positive = key => {
+    if (!isNumber(shape[key]) || shape[key] <= 0) problems.push(`${path}.${key} must be a positive number`);
+  };
+  if (!SHAPE_NAMES.includes(shape.type)) {
+    problems.push(`${path}.type must be one of ${SHAPE_NAMES.join(', ')}`);
+  } else if (shape.type === 'sphere') {
+    positive('radius');
+  } else if (shape.type === 'box') {
+    if (shape.halfExtents === undefined) positive('size');
+    else if (!isVector(shape.halfExtents) || !shape.halfExtents.every(h => h > 0)) problems.push(`${path}.halfExtents must be three positive numbers`);
+  } else if (shape.type === 'cylinder') {
+    positive('radius');
+    positive('height');
+  } else if (shape.type === 'hull') {
+    if (!Array.isArray(shape.vertices) || shape.vertices.length < 4 || !shape.vertices.every(v => isVector(v))) {
+      problems.push(`${path}.vertices must be at least four [x, y, z] points`);
+    } else if (shape.vertices.length > MAX_HULL_VERTICES) {
+      problems.push(`${path}.vertices must be at most ${MAX_HULL_VERTICES} points`);
+    }
+  } else if (shape.type === 'heightfield') {
+    for (const key of ['rows', 'cols']) {
+      if (!Number.isInteger(shape[key]) || shape[key] < 2) problems.push(`${path}.${key} must be an integer of at least 2`);
+    }
+    positive('spacing');
+    if (shape.rows * shape.cols > MAX_HEIGHTFIELD_CELLS) {
+      problems.push(`${path} must have at most ${MAX_HEIGHTFIELD_CELLS} heights (rows × cols)`);
+    } else if (!Array.isArray(shape.heights) || shape.heights.length !== shape.rows * shape.cols || !shape.heights.every(isNumber)) {
+      problems.push(`${path}.heights must be rows × cols numbers`);
+    }
+  } else if (!Array.isArray(shape.shapes) || !shape.shapes.length) {
+    problems.push(`${path}.shapes is empty (compound shapes saved before scene version 1 lost their parts)`);
+  } else {
+    shape.shapes.forEach((part, i) => {
+      if (!isVector(part.offset)) problems.push(`${path}.shapes[${i}].offset must be [x, y, z]`);
+      checkShape(part.shape, `${path}.shapes[${i}].shape`, problems);
+    });
+  }
+}
+
+// What each field type's parameters must be when given (missing ones take
+// the field's defaults), as keys of PARAM_CHECKS
+const FIELD_PARAMS = {
+  [FIELD_TYPE.ATTRACTOR]: { radius: 'positive', strength: 'number' },
+  [FIELD_TYPE.WIND]: { halfExtents: 'extents', wind: 'vector', drag: 'nonNegative' },
+  [FIELD_TYPE.VORTEX]: { radius: 'positive', axis: 'direction', strength: 'number', pull: 'number', lift: 'number' },
+  [FIELD_TYPE.WATER]: { halfExtents: 'extents', density: 'nonNegative', drag: 'nonNegative' },
+  [FIELD_TYPE.EXPLOSION]: { radius: 'positive', strength: 'number', interval: 'nonNegative', timer: 'nonNegative' }
+};
+const EMITTER_PARAMS = { spread: 'nonNegative', lifetime: 'nonNegative', timer: 'nonNegative' };
+// Likewise for joints, on top of the anchors every joint has
+const JOINT_ANCHORS = { localAnchorA: 'vector', localAnchorB: 'vector', anchorA: 'vector', anchorB: 'vector', anchor: 'vector' };
+const JOINT_PARAMS = {
+  [JOINT_TYPE.DISTANCE]: { length: 'nonNegative' },
+  [JOINT_TYPE.SPRING]: { length: 'nonNegative', frequency: 'nonNegative', dampingRatio: 'nonNegative' },
+  [JOINT_TYPE.BALL]: {},
+  [JOINT_TYPE.HINGE]: {
+    axis: 'direction', localAxisA: 'direction', localAxisB: 'direction', localRefA: 'direction', localRefB: 'direction',
+    lowerAngle: 'number', upperAngle: 'number', motorSpeed: 'number', maxMotorTorque: 'nonNegative'
+  },
+  [JOINT_TYPE.WELD]: { relativeOrientation: 'rotation' }
+};
+const PARAM_CHECKS = {
+  number: [isNumber, 'a number'],
+  positive: [v => isNumber(v) && v > 0, 'a positive number'],
+  nonNegative: [v => isNumber(v) && v >= 0, 'a number of at least 0'],
+  vector: [v => isVector(v), '[x, y, z]'],
+  extents: [v => isVector(v) && v.every(h => h > 0), 'three positive numbers'],
+  direction: [v => isVector(v) && v.some(x => x !== 0), 'a non-zero [x, y, z]'],
+  rotation: [v => isVector(v, 4) && v.some(x => x !== 0), 'a non-zero [x, y, z, w]']
+};
+
+function checkParams(item, params, path, problems) {
+  for (const [key, kind] of Object.entries(params)) {
+    const [valid, what] = PARAM_CHECKS[kind];
+    if (item[key] !== undefined && !valid(item[key])) problems.push(`${path}.${key} must be ${what}`);
+  }
+}
+
+// Everything wrong with a current-version scene, as readable messages; empty when it's valid
+export function validateScene(scene) {
+  const problems = [];
+  if (scene.format !== SCENE_FORMAT) problems.push(`format must be '${SCENE_FORMAT}'`);
+  if (scene.version !== SCENE_VERSION) problems.push(`version must be ${SCENE_VERSION}`);
+
+  const world = scene.world ?? {};
+  if (world.gravity !== undefined && !isVector(world.gravity)) problems.push('world.gravity must be [x, y, z]');
+  if (world.worldSize !== undefined && (!isNumber(world.worldSize) || world.worldSize <= 0)) problems.push('world.worldSize must be a positive number');
+  if (world.fixedDt !== undefined && !(isNumber(world.fixedDt) && world.fixedDt >= MIN_FIXED_DT && world.fixedDt <= MAX_FIXED_DT)) {
+    problems.push(`world.fixedDt must be a number from ${MIN_FIXED_DT} to ${MAX_FIXED_DT}`);
+  }
+  for (const key of ['seed', 'randomState']) {
+    if (world[key] !== undefined && !isCount(world[key], 0, MAX_SEED)) problems.push(`world.${key} must be an integer from 0 to ${MAX_SEED}`);
+  }
+  if (world.substeps !== undefined && !isCount(world.substeps, 1, MAX_SUBSTEPS)) problems.push(`world.substeps must be an integer from 1 to ${MAX_SUBSTEPS}`);
+  for (const key of ['time', 'stepCount']) {
+    if (world[key] !== undefined && (!isNumber(world[key]) || world[key] < 0)) problems.push(`world.${key} must be a number of at least 0`);
+  }
+  // A full accumulator would be stepped through in one go by the next advance
+  const fixedDt = isNumber(world.fixedDt) ? world.fixedDt : 1 / 60;
+  if (world.accumulator !== undefined && (!isNumber(world.accumulator) || world.accumulator < 0 || world.accumulator >= fixedDt)) {
+    problems.push('world.accumulator must be at least 0 and less than fixedDt');
+  }
+  for (const key of ['sunGravity', 'fluidDensity', 'magneticStrength', 'groundLevel']) {
+    if (world[key] !== undefined && !isNumber(world[key])) problems.push(`world.${key} must be a number`);
+  }
+  for (const key of ['iterations', 'positionIterations']) {
+    const n = world.solver?.[key];
+    if (n !== undefined && !isCount(n, 0, MAX_ITERATIONS)) problems.push(`world.solver.${key} must be an integer from 0 to ${MAX_ITERATIONS}`);
+  }
+
+  const materials = scene.materials;
+  if (!Array.isArray(materials)) {
+    problems.push('materials must be an array');
+  } else {
+    materials.forEach((m, i) => {
+      if (!isNumber(m.friction) || !isNumber(m.restitution)) problems.push(`materials[${i}] needs numeric friction and restitution`);
+      if (m.staticFriction != null && !isNumber(m.staticFriction)) problems.push(`materials[${i}].staticFriction must be a number or null`);
+      if (m.rollingFriction !== undefined && !isNumber(m.rollingFriction)) problems.push(`materials[${i}].rollingFriction must be a number`);
+    });
+  }
+
+  const library = scene.materialLibrary;
+  if (library !== undefined) {
+    const modes = Object.values(COMBINE_MODE);
+    for (const key of ['frictionCombine', 'restitutionCombine']) {
+      if (!modes.includes(library[key])) problems.push(`materialLibrary.${key} must be one of ${modes.join(', ')}`);
+    }
+    if (!Array.isArray(library.materials)) {
+      problems.push('materialLibrary.materials must be an array');
+    } else {
+      library.materials.forEach((m, i) => {
+        if (typeof m.name !== 'string' || !m.name) problems.push(`materialLibrary.materials[${i}] needs a name`);
+        for (const key of ['density', ...PAIR_FIELDS]) {
+          if (m[key] !== undefined && !isNumber(m[key])) problems.push(`materialLibrary.materials[${i}].${key} must be a number`);
+        }
+      });
+    }
+    if (!Array.isArray(library.pairs)) {
+      problems.push('materialLibrary.pairs must be an array');
+    } else {
+      library.pairs.forEach((p, i) => {
+        if (typeof p.a !== 'string' || typeof p.b !== 'string') problems.push(`materialLibrary.pairs[${i}] needs material names a and b`);
+        for (const key of PAIR_FIELDS) {
+          if (p[key] !== undefined && !isNumber(p[key])) problems.push(`materialLibrary.pairs[${i}].${key} must be a number`);
+        }
+      });
+    }
+  }
+
+  const bodies = scene.bodies;
+  if (!Array.isArray(bodies)) {
+    problems.push('bodies must be an array');
+  } else if (bodies.length > MAX_BODIES) {
+    problems.push(`bodies must hold at most ${MAX_BODIES} bodies`);
+  } else {
+    bodies.forEach((b, i) => {
+      const path = `bodies[${i}]`;
+      checkShape(b.shape, `${path}.shape`, problems);
+      if (!isNumber(b.mass) || b.mass < 0) problems.push(`${path}.mass must be a number of at least 0`);
+      for (const key of ['position', 'velocity', 'angularVelocity']) {
+        if (!isVector(b[key])) problems.push(`${path}.${key} must be [x, y, z]`);
+      }
+      if (!isVector(b.orientation, 4)) problems.push(`${path}.orientation must be [x, y, z, w]`);
+      if (b.motion && (!isVector(b.motion.origin) || !isVector(b.motion.offset) || !isNumber(b.motion.period) || b.motion.period <= 0)) {
+        problems.push(`${path}.motion needs origin and offset as [x, y, z] and a positive period`);
+      }
+      if (Array.isArray(materials) && !isIndex(b.material, materials)) problems.push(`${path}.material must index materials`);
+      for (const key of ['collisionGroup', 'collisionMask']) {
+        if (b[key] !== undefined && !(Number.isInteger(b[key]) && b[key] >= 0 && b[key] <= 0xFFFF)) problems.push(`${path}.${key} must be a 16-bit integer`);
+      }
+    });
+  }
+
+  const jointTypes = Object.values(JOINT_TYPE);
+  if (!Array.isArray(scene.joints)) {
+    problems.push('joints must be an array');
+  } else if (Array.isArray(bodies)) {
+    scene.joints.forEach((j, i) => {
+      if (!jointTypes.includes(j.type)) problems.push(`joints[${i}].type must be one of ${jointTypes.join(', ')}`);
+      if (!isIndex(j.a, bodies)) problems.push(`joints[${i}].a must index bodies`);
+      if (j.b !== null && j.b !== undefined && !isIndex(j.b, bodies)) problems.push(`joints[${i}].b must index bodies or be null`);
+      checkParams(j, { ...JOINT_ANCHORS, ...JOINT_PARAMS[j.type] }, `joints[${i}]`, problems);
+      // Missing limits take the hinge's defaults of ±PI / 4
+      const lower = j.lowerAngle ?? -Math.PI / 4, upper = j.upperAngle ?? Math.PI / 4;
+      if (j.type === JOINT_TYPE.HINGE && isNumber(lower) && isNumber(upper) && lower > upper) {
+        problems.push(`joints[${i}].lowerAngle must not be above upperAngle`);
+      }
+    });
+  }
+
+  const fieldTypes = Object.values(FIELD_TYPE);
+  if (scene.fields !== undefined && !Array.isArray(scene.fields)) {
+    problems.push('fields must be an array');
+  } else {
+    (scene.fields ?? []).forEach((f, i) => {
+      const path = `fields[${i}]`;
+      if (!fieldTypes.includes(f.type)) problems.push(`${path}.type must be one of ${fieldTypes.join(', ')}`);
+      if (!isVector(f.position)) problems.push(`${path}.position must be [x, y, z]`);
+      checkParams(f, FIELD_PARAMS[f.type] ?? {}, path, problems);
+      if (f.type === FIELD_TYPE.EXPLOSION && isNumber(f.interval) && f.interval > 0) {
+        if (f.interval < MIN_EXPLOSION_INTERVAL) problems.push(`${path}.interval must be 0 or at least ${MIN_EXPLOSION_INTERVAL}`);
+        if (isNumber(f.timer) && f.timer >= f.interval) problems.push(`${path}.timer must be less than interval`);
+      }
+    });
+  }
+  if (scene.emitters !== undefined && !Array.isArray(scene.emitters)) {
+    problems.push('emitters must be an array');
+  } else {
+    (scene.emitters ?? []).forEach((e, i) => {
+      const path = `emitters[${i}]`;
+      for (const key of ['position', 'velocity']) {
+        if (!isVector(e[key])) problems.push(`${path}.${key} must be [x, y, z]`);
+      }
+      if (!isNumber(e.rate) || e.rate < 0 || e.rate > MAX_EMIT_RATE) problems.push(`${path}.rate must be a number from 0 to ${MAX_EMIT_RATE}`);
+      if (e.maxBodies !== undefined && (!isNumber(e.maxBodies) || e.maxBodies < 0 || e.maxBodies > MAX_EMITTED)) {
+        problems.push(`${path}.maxBodies must be a number from 0 to ${MAX_EMITTED}`);
+      }
+      checkParams(e, EMITTER_PARAMS, path, problems);
+      if (isNumber(e.rate) && e.rate > 0 && isNumber(e.timer) && e.timer >= 1 / e.rate) problems.push(`${path}.timer must be less than 1 / rate`);
+      if (e.body?.mass !== undefined && (!isNumber(e.body.mass) || e.body.mass <= 0)) problems.push(`${path}.body.mass must be a positive number`);
+      for (const key of ['friction', 'restitution']) {
+        if (e.body?.[key] !== undefined && !isNumber(e.body[key])) problems.push(`${path}.body.${key} must be a number`);
+      }
+      checkShape(e.body?.shape, `${path}.body.shape`, problems);
+      if (e.body?.material !== undefined && Array.isArray(library?.materials) && !library.materials.some(m => m.name === e.body.material)) {
+        problems.push(`${path}.body.material must name a material in materialLibrary`);
+      }
+      if (Array.isArray(bodies) && (e.emitted ?? []).some(entry => !Array.isArray(entry) || !isIndex(entry[0], bodies))) problems.push(`${path}.emitted must index bodies`);
+    });
+  }
+
+  const camera = scene.camera;
+  if (camera && (!isVector(camera.position) || !isVector(camera.target))) problems.push('camera needs position and target as [x, y, z]');
+  return problems;
+}
+
+// Parse (if given text), migrate and validate a scene, throwing with every
+// problem found so a bad file never reaches the world half-loaded
+export function readScene(input) {
+  const scene = migrateScene(typeof input === 'string' ? JSON.parse(input) : input);
+  const problems = validateScene(scene);
+  if (problems.length) throw new Error(`Invalid scene file:\n${problems.join('\n')}`);
+  return scene;
+}
+
+// --- Loading ---
+
+// Replace the world's contents with a validated scene. `onBody(body, record)`
+// runs for each body before it's added, for the front-end to attach its
+// render object. Returns the bodies in file order.
+export function loadScene(world, scene, { onBody = () => {} } = {}) {
+  world.clear();
+  readWorld(world, scene.world ?? {});
+  if (scene.materialLibrary) world.materials.load(scene.materialLibrary);
+
+  const bodies = scene.bodies.map(record => {
+    const body = readBody(record, scene.materials[record.material]);
+    onBody(body, record);
+    return world.addBody(body);
+  });
+  for (const desc of scene.joints) world.addJoint(createJoint(desc, bodies));
+  for (const desc of scene.fields ?? []) world.addField(createField(desc));
+  for (const desc of scene.emitters ?? []) world.addEmitter(createEmitter(desc, bodies));
+  return bodies;
+}
+
+function readWorld(world, w) {
+  if (w.gravity) world.gravity = Vec3.fromArray(w.gravity);
+  if (w.worldSize !== undefined) world.bounds = { x: w.worldSize, y: w.worldSize, z: w.worldSize };
+  for (const key of WORLD_FIELDS) if (w[key] !== undefined) world[key] = w[key];
+  for (const key of SOLVER_FIELDS) if (w.solver?.[key] !== undefined) world.solver[key] = w.solver[key];
+  if (w.seed !== undefined) world.random.setSeed(w.seed);
+  if (w.randomState !== undefined) world.random.state = w.randomState;
+}
+
+function readBody(record, material) {
+  const body = new RigidBody(Vec3.fromArray(record.position), createShape(record.shape), record.mass);
+  body.orientation = Quaternion.fromArray(record.orientation);
+  body.updateInertiaWorld();
+  body.velocity = Vec3.fromArray(record.velocity);
+  body.angularVelocity = Vec3.fromArray(record.angularVelocity);
+  body.materialType = material.name ?? 'custom';
+  for (const key of SURFACE_FIELDS) if (material[key] !== undefined) body[key] = material[key];
+  for (const key of BODY_FIELDS) {
+    if (record[key] !== undefined) body[key] = record[key];
+  }
+  if (record.static) body.makeStatic();
+  if (record.motion) {
+    const { origin, offset, period, t = 0 } = record.motion;
+    body.motion = { origin: Vec3.fromArray(origin), offset: Vec3.fromArray(offset), period, t };
+  }
+  return body;
+}
+
+// Body from a `bodyRecord` (not checked: it is meant for records this
+// module wrote)
+export function bodyFromRecord(record) {
+  return readBody(record, record.material);
+}
+
+// --- World settings ---
+// Everything about a world besides its contents: the scene's `world` block,
+// the material library and the next body id. Undo keeps these alongside the
+// bodies it holds on to, so undoing a load puts the world back as it was.
+
+export function worldSettings(world) {
+  return { world: writeWorld(world), materialLibrary: world.materials.toJSON(), nextBodyId: world.nextBodyId };
+}
+
+// Call after the bodies are back in the world, which moves the next body id on
+export function restoreWorldSettings(world, settings) {
+  readWorld(world, settings.world);
+  world.materials.load(settings.materialLibrary);
+  world.nextBodyId = settings.nextBodyId;
+}
@@ -0,0 +1,428 @@
+import { Vec3, Mat3 } from './math.js';
+import { convexHull } from './hull.js';
+
+// --- Shapes ---
+export const SHAPE_TYPE = { SPHERE:0, BOX:1, CYLINDER:2, CUSTOM:3, HULL:4, HEIGHTFIELD:5 };
+
+export class SphereShape {
+  constructor(radius) {
+    this.type = SHAPE_TYPE.SPHERE;
+    this.radius = radius;
+  }
+}
+
+// A cube of edge `size`, or a cuboid when `extents` (half sizes) are given;
+// `size` is then its longest edge
+export class BoxShape {
+  constructor(size, extents = null) {
+    this.type = SHAPE_TYPE.BOX;
+    this.extents = extents ? extents.copy() : null;
+    this.size = extents ? 2 * Math.max(extents.x, extents.y, extents.z) : size;
+  }
+  get halfExtents() { return this.extents ? this.extents.copy() : new Vec3(this.size/2, this.size/2, this.size/2); }
+}
+
+export class CylinderShape {
+  constructor(radius=1, height=2) {
+    this.type = SHAPE_TYPE.CYLINDER;
+    this.radius = radius;
+    this.height = height;
+  }
+}
+
+export class CompoundShape {
+  constructor(shapes) {
+    this.type = SHAPE_TYPE.CUSTOM;
+    this.shapes = shapes; // array of {shape, offset}
+  }
+}
+
+// Convex hull of a point cloud. Keeps only the hull's corners, with its faces
+// as vertex-index polygons and their outward normals.
+export class ConvexHullShape {
+  constructor(points) {
+    const hull = convexHull(points);
+    if (!hull) throw new Error('A convex hull needs points that span a volume');
+    this.type = SHAPE_TYPE.HULL;
+    this.vertices = hull.vertices;
+    this.faces = hull.faces;
+    this.normals = hull.faces.map(f => {
+      const [a, b, c] = f.map(i => this.vertices[i]);
+      return b.sub(a).cross(c.sub(a)).normalize();
+    });
+  }
+}
+
+// Terrain: `rows` × `cols` heights on a square grid `spacing` apart, row-major
+// with rows running along z, centred on the body's origin in x/z. Each cell
+// is split into two triangles along its (i, j)-(i+1, j+1) diagonal. Only for
+// static bodies, which it treats as unrotated.
+export class HeightfieldShape {
+  constructor(rows, cols, spacing = 1, heights = null) {
+    this.type = SHAPE_TYPE.HEIGHTFIELD;
+    this.rows = rows;
+    this.cols = cols;
+    this.spacing = spacing;
+    this.heights = heights ? Float64Array.from(heights) : new Float64Array(rows * cols);
+    this.updateBounds();
+  }
+
+  get width() { return (this.cols - 1) * this.spacing; }
+  get depth() { return (this.rows - 1) * this.spacing; }
+
+  height(row, col) { return this.heights[row * this.cols + col]; }
+
+  // Refresh the height range after editing `heights`
+  updateBounds() {
+    let min = Infinity, max = -Infinity;
+    for (const h of this.heights) {
+      if (h < min) min = h;
+      if (h > max) max = h;
+    }
+    this.minHeight = min;
+    this.maxHeight = max;
+  }
+
+  // Grid position of a local point: { row, col } of its cell and where it
+  // lies inside the cell (u along x, v along z, both 0..1), or null off the grid
+  cellAt(x, z) {
+    const fx = (x + this.width / 2) / this.spacing, fz = (z + this.depth / 2) / this.spacing;
+    if (fx < 0 || fz < 0 || fx > this.cols - 1 || fz > this.rows - 1) return null;
+    const col = Math.min(Math.floor(fx), this.cols - 2), row = Math.min(Math.floor(fz), this.rows - 2);
+    return { row, col, u: fx - col, v: fz - row };
+  }
+
+  // Local corner of the grid
+  vertex(row, col) {
+    return new Vec3(col * this.spacing - this.width / 2, this.height(row, col), row * this.spacing - this.depth / 2);
+  }
+
+  // The cell's two triangles as [a, b, c] in local space, wound so (b - a) × (c - a) points up
+  cellTriangles(row, col) {
+    const p00 = this.vertex(row, col), p01 = this.vertex(row, col + 1);
+    const p10 = this.vertex(row + 1, col), p11 = this.vertex(row + 1, col + 1);
+    return [[p00, p10, p11], [p00, p11, p01]];
+  }
+
+  // Raise (or with a negative `amount`, lower) the grid points within
+  // `radius` of local x/z, most at the centre and smoothly less towards the edge
+  sculpt(x, z, radius, amount) {
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const v = this.vertex(row, col);
+        const d = Math.hypot(v.x - x, v.z - z) / radius;
+        if (d < 1) this.heights[row * this.cols + col] += amount * 0.5 * (1 + Math.cos(Math.PI * d));
+      }
+    }
+    this.updateBounds();
+  }
+
+  // Surface height at a local x/z, or null off the grid
+  heightAt(x, z) {
+    const cell = this.cellAt(x, z);
+    if (!cell) return null;
+    const { row, col, u, v } = cell;
+    const h00 = this.height(row, col), h01 = this.height(row, col + 1);
+    const h10 = this.height(row + 1, col), h11 = this.height(row + 1, col + 1);
+    return v > u ? h00 + (h11 - h10) * u + (h10 - h00) * v : h00 + (h01 - h00) * u + (h11 - h01) * v;
+  }
+}
+
+// Build a shape from a plain description, e.g. { type: 'box', size: 1 }.
+// `type` may be a SHAPE_TYPE value or its lower-case name. Shape instances
+// are returned unchanged.
+export function createShape(desc) {
+  if (Object.getPrototypeOf(desc) !== Object.prototype) return desc;
+  const type = typeof desc.type === 'string' ? desc.type.toLowerCase() : desc.type;
+  if (type === SHAPE_TYPE.SPHERE || type === 'sphere') {
+    return new SphereShape(desc.radius);
+  } else if (type === SHAPE_TYPE.BOX || type === 'box') {
+    return desc.halfExtents ? new BoxShape(desc.size, toVec3(desc.halfExtents)) : new BoxShape(desc.size);
+  } else if (type === SHAPE_TYPE.CYLINDER || type === 'cylinder') {
+    return new CylinderShape(desc.radius, desc.height);
+  } else if (type === SHAPE_TYPE.CUSTOM || type === 'compound' || type === 'custom') {
+    return new CompoundShape(desc.shapes.map(s => ({
+      shape: createShape(s.shape),
+      offset: toVec3(s.offset)
+    })));
+  } else if (type === SHAPE_TYPE.HULL || type === 'hull') {
+    return new ConvexHullShape(desc.vertices.map(toVec3));
+  } else if (type === SHAPE_TYPE.HEIGHTFIELD || type === 'heightfield') {
+    return new HeightfieldShape(desc.rows, desc.cols, desc.spacing, desc.heights);
+  }
+  throw new Error(`Unknown shape type: ${desc.type}`);
+}
+
+const toVec3 = v => Array.isArray(v) ? Vec3.fromArray(v) : new Vec3(v.x, v.y, v.z);
+
+// Plain description of a shape that createShape turns back into an equal one
+export function describeShape(shape) {
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    return { type: 'sphere', radius: shape.radius };
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    return shape.extents ? { type: 'box', size: shape.size, halfExtents: shape.extents.toArray() } : { type: 'box', size: shape.size };
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    return { type: 'cylinder', radius: shape.radius, height: shape.height };
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    return { type: 'hull', vertices: shape.vertices.map(v => v.toArray()) };
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    return { type: 'heightfield', rows: shape.rows, cols: shape.cols, spacing: shape.spacing, heights: Array.from(shape.heights) };
+  }
+  return {
+    type: 'compound',
+    shapes: shape.shapes.map(s => ({ shape: describeShape(s.shape), offset: s.offset.toArray() }))
+  };
+}
+
+// Of several scale factors, the one that changes the size most
+const boldest = (...factors) => factors.reduce((a, b) => Math.abs(Math.log(b)) > Math.abs(Math.log(a)) ? b : a);
+
+// The per-axis scale `s` (a Vec3 in the shape's own frame) as near as the
+// shape can follow it: spheres, and compounds holding anything but boxes and
+// hulls, scale evenly; cylinders share one factor between x and z. Those use
+// whichever factor changes the size most, so stretching one axis either way
+// still resizes them. Cylinders and heightfields share one factor between x and z.
+export function shapeScale(shape, s) {
+  const even = () => { const k = boldest(s.x, s.y, s.z); return new Vec3(k, k, k); };
+  if (shape.type === SHAPE_TYPE.SPHERE) return even();
+  if (shape.type === SHAPE_TYPE.CYLINDER || shape.type === SHAPE_TYPE.HEIGHTFIELD) { const k = boldest(s.x, s.z); return new Vec3(k, s.y, k); }
+  if (shape.type === SHAPE_TYPE.CUSTOM && !shape.shapes.every(p => p.shape.type === SHAPE_TYPE.BOX || p.shape.type === SHAPE_TYPE.HULL)) return even();
+  return s.copy();
+}
+
+// New shape stretched by shapeScale(shape, s)
+export function scaleShape(shape, s) {
+  const k = shapeScale(shape, s);
+  const scaled = v => new Vec3(v.x * k.x, v.y * k.y, v.z * k.z);
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    return new SphereShape(shape.radius * k.x);
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    return !shape.extents && k.x === k.y && k.y === k.z ? new BoxShape(shape.size * k.x) : new BoxShape(0, scaled(shape.halfExtents));
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    return new CylinderShape(shape.radius * k.x, shape.height * k.y);
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    return new ConvexHullShape(shape.vertices.map(scaled));
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    return new HeightfieldShape(shape.rows, shape.cols, shape.spacing * k.x, shape.heights.map(h => h * k.y));
+  }
+  return new CompoundShape(shape.shapes.map(p => ({ shape: scaleShape(p.shape, k), offset: scaled(p.offset) })));
+}
+
+// Radius of the smallest sphere around the body origin that contains the shape
+export function boundingRadius(shape) {
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    return shape.radius;
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    return shape.halfExtents.length();
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    return Math.sqrt(shape.radius * shape.radius + (shape.height/2) * (shape.height/2));
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    return Math.max(...shape.vertices.map(v => v.length()));
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    return Math.hypot(shape.width / 2, shape.depth / 2, Math.max(Math.abs(shape.minHeight), Math.abs(shape.maxHeight)));
+  } else {
+    let maxDist = 0;
+    for (const subShape of shape.shapes) {
+      maxDist = Math.max(maxDist, subShape.offset.length() + boundingRadius(subShape.shape));
+    }
+    return maxDist;
+  }
+}
+
+// Half the shape's thinnest width: it can move that far without skipping
+// past anything. Terrain never moves, so it has no limit.
+export function innerRadius(shape) {
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    return shape.radius;
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    const h = shape.halfExtents;
+    return Math.min(h.x, h.y, h.z);
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    return Math.min(shape.radius, shape.height / 2);
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    return Math.min(...shape.normals.map(n => {
+      const d = shape.vertices.map(v => v.dot(n));
+      return (Math.max(...d) - Math.min(...d)) / 2;
+    }));
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    return Infinity;
+  } else {
+    return Math.min(...shape.shapes.map(s => innerRadius(s.shape)));
+  }
+}
+
+export function shapeVolume(shape) {
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    return (4/3) * Math.PI * shape.radius ** 3;
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    const h = shape.halfExtents;
+    return 8 * h.x * h.y * h.z;
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    return Math.PI * shape.radius * shape.radius * shape.height;
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    return hullIntegrals(shape).volume;
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    return 0;
+  } else {
+    return shape.shapes.reduce((sum, s) => sum + shapeVolume(s.shape), 0);
+  }
+}
+
+// Volume, centroid and second moments (integrals of x_i x_j about the origin,
+// unit density) of a hull, summed over tetrahedra from the origin to each
+// fan triangle of every face
+export function hullIntegrals(shape) {
+  let volume = 0;
+  let centroid = Vec3.zero();
+  const m = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  for (const face of shape.faces) {
+    const a = shape.vertices[face[0]];
+    for (let k = 1; k + 1 < face.length; k++) {
+      const b = shape.vertices[face[k]], c = shape.vertices[face[k + 1]];
+      const det = a.dot(b.cross(c));
+      volume += det / 6;
+      centroid = centroid.add(a.add(b).add(c).mul(det / 24));
+      // For a tetrahedron (0, a, b, c): det/120 * (sum of v v^T + s s^T), s = a + b + c
+      const s = a.add(b).add(c);
+      const comp = [[a.x, b.x, c.x, s.x], [a.y, b.y, c.y, s.y], [a.z, b.z, c.z, s.z]];
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          const [ai, bi, ci, si] = comp[i], [aj, bj, cj, sj] = comp[j];
+          m[i*3+j] += det / 120 * (ai*aj + bi*bj + ci*cj + si*sj);
+        }
+      }
+    }
+  }
+  return { volume, centroid: volume > 0 ? centroid.mul(1 / volume) : Vec3.zero(), moments: m };
+}
+
+// Body-space inertia tensor about the body origin for a solid shape of the given mass.
+// Cylinders are aligned with their local y axis, matching THREE.CylinderGeometry.
+export function shapeInertia(shape, mass) {
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    // Solid sphere: I = (2/5) * m * r^2
+    const i = (2/5) * mass * shape.radius * shape.radius;
+    return Mat3.diagonal(i, i, i);
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    // Solid box: I = (1/12) * m * (h^2 + d^2) for each axis
+    const { x: w, y: h, z: d } = shape.halfExtents.mul(2);
+    return Mat3.diagonal(
+      (1/12) * mass * (h*h + d*d),
+      (1/12) * mass * (w*w + d*d),
+      (1/12) * mass * (w*w + h*h)
+    );
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    // Solid cylinder: I_x = I_z = (1/12)*m*(3r^2 + h^2), I_y = (1/2)*m*r^2
+    const r = shape.radius;
+    const h = shape.height;
+    const ixz = (1/12) * mass * (3*r*r + h*h);
+    const iy = (1/2) * mass * r*r;
+    return Mat3.diagonal(ixz, iy, ixz);
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    // I = trace(M) * Identity - M for the second-moment matrix M, scaled to the mass
+    const { volume, moments: m } = hullIntegrals(shape);
+    const tr = m[0] + m[4] + m[8];
+    return new Mat3([tr - m[0], -m[1], -m[2], -m[3], tr - m[4], -m[5], -m[6], -m[7], tr - m[8]]).scale(volume > 0 ? mass / volume : 0);
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    // Static only; a thin slab stands in so the tensor stays invertible
+    const w = shape.width, d = shape.depth;
+    return Mat3.diagonal((1/12) * mass * d*d, (1/12) * mass * (w*w + d*d), (1/12) * mass * w*w);
+  } else {
+    // Compound: split the mass by volume, then shift each part with the parallel axis theorem
+    const total = shapeVolume(shape);
+    let tensor = Mat3.diagonal(0, 0, 0);
+    for (const { shape: part, offset: d } of shape.shapes) {
+      const m = total > 0 ? mass * shapeVolume(part) / total : mass / shape.shapes.length;
+      const dd = d.dot(d);
+      const shift = new Mat3([
+        dd - d.x*d.x, -d.x*d.y,     -d.x*d.z,
+        -d.y*d.x,     dd - d.y*d.y, -d.y*d.z,
+        -d.z*d.x,     -d.z*d.y,     dd - d.z*d.z
+      ]).scale(m);
+      tensor = tensor.add(shapeInertia(part, m)).add(shift);
+    }
+    return tensor;
+  }
+}
+
+// World-space points of the shape that can touch a plane with outward normal `n`.
+// Spheres give their lowest point, boxes and hulls their corners, cylinders the
+// deepest rim point of each cap (or four rim points per cap when standing flat
+// on the plane).
+export function featurePoints(shape, position, orientation, n) {
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    return [position.sub(n.mul(shape.radius))];
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    const h = shape.halfExtents;
+    const points = [];
+    for (const x of [-h.x, h.x]) for (const y of [-h.y, h.y]) for (const z of [-h.z, h.z]) {
+      points.push(position.add(orientation.rotateVector(new Vec3(x, y, z))));
+    }
+    return points;
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    const axis = orientation.rotateVector(new Vec3(0, 1, 0));
+    const radial = n.mul(-1).sub(axis.mul(-n.dot(axis)));
+    const points = [];
+    for (const side of [-1, 1]) {
+      const cap = position.add(axis.mul(side * shape.height / 2));
+      if (radial.length() > 0.05) {
+        points.push(cap.add(radial.normalize().mul(shape.radius)));
+      } else {
+        for (const local of [new Vec3(1,0,0), new Vec3(-1,0,0), new Vec3(0,0,1), new Vec3(0,0,-1)]) {
+          points.push(cap.add(orientation.rotateVector(local).mul(shape.radius)));
+        }
+      }
+    }
+    return points;
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    return shape.vertices.map(v => position.add(orientation.rotateVector(v)));
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    return [];
+  } else {
+    return shape.shapes.flatMap(s =>
+      featurePoints(s.shape, position.add(orientation.rotateVector(s.offset)), orientation, n));
+  }
+}
+
+// World-space axis-aligned bounds { min, max } of a posed shape
+export function shapeAABB(shape, position, orientation) {
+  let half;
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    half = new Vec3(shape.radius, shape.radius, shape.radius);
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    // |R| * h
+    const h = shape.halfExtents;
+    const e = Mat3.fromQuaternion(orientation).e.map(Math.abs);
+    half = new Vec3(
+      e[0]*h.x + e[1]*h.y + e[2]*h.z,
+      e[3]*h.x + e[4]*h.y + e[5]*h.z,
+      e[6]*h.x + e[7]*h.y + e[8]*h.z
+    );
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    // Caps project as ellipses: |a_i| * h/2 + r * sqrt(1 - a_i^2) per world axis
+    const a = orientation.rotateVector(new Vec3(0, 1, 0));
+    const hh = shape.height / 2, r = shape.radius;
+    const extent = c => Math.abs(c) * hh + r * Math.sqrt(Math.max(0, 1 - c*c));
+    half = new Vec3(extent(a.x), extent(a.y), extent(a.z));
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    return {
+      min: position.add(new Vec3(-shape.width / 2, shape.minHeight, -shape.depth / 2)),
+      max: position.add(new Vec3(shape.width / 2, shape.maxHeight, shape.depth / 2))
+    };
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    const points = featurePoints(shape, position, orientation);
+    return {
+      min: new Vec3(Math.min(...points.map(p => p.x)), Math.min(...points.map(p => p.y)), Math.min(...points.map(p => p.z))),
+      max: new Vec3(Math.max(...points.map(p => p.x)), Math.max(...points.map(p => p.y)), Math.max(...points.map(p => p.z)))
+    };
+  } else {
+    let min = null, max = null;
+    for (const s of shape.shapes) {
+      const box = shapeAABB(s.shape, position.add(orientation.rotateVector(s.offset)), orientation);
+      min = min ? new Vec3(Math.min(min.x, box.min.x), Math.min(min.y, box.min.y), Math.min(min.z, box.min.z)) : box.min;
+      max = max ? new Vec3(Math.max(max.x, box.max.x), Math.max(max.y, box.max.y), Math.max(max.z, box.max.z)) : box.max;
+    }
+    return { min: min ?? position.copy(), max: max ?? position.copy() };
+  }
+  return { min: position.sub(half), max: position.add(half) };
+}
@@ -0,0 +1,283 @@
+import { Vec3 } from './math.js';
+import { MaterialLibrary } from './materials.js';
+
+// --- Contact Solver ---
+// Sequential impulses over every contact of the step at once, so stacked
+// bodies pass load down through each other instead of resolving pair by pair.
+// Each contact carries a normal and two friction rows with accumulated
+// (clamped) impulses. Those totals are cached per body pair and fed back the
+// next step (warm starting), which lets a resting stack converge in a few
+// iterations. Penetration is removed with split impulses: a separate pseudo
+// velocity moves bodies apart without adding kinetic energy. Baumgarte
+// stabilisation (a velocity bias) is available as a cheaper alternative.
+// Surface values for each pair come from the material library's combine
+// rules (see materials.js).
+
+// Approach speeds below this bounce with zero restitution, so resting bodies settle
+const RESTITUTION_THRESHOLD = 0.5;
+// Cached contacts further apart than this (in body space) are treated as new
+const MATCH_DISTANCE_SQ = 0.05 * 0.05;
+// Contacts slipping slower than this (m/s) are held by static friction
+const STATIC_SPEED = 0.1;
+
+// Two unit vectors perpendicular to n and to each other
+function tangentBasis(n) {
+  const t1 = (Math.abs(n.x) > 0.57 ? new Vec3(n.y, -n.x, 0) : new Vec3(0, n.z, -n.y)).normalize();
+  return [t1, n.cross(t1)];
+}
+
+// One constraint direction `d` at a contact (lever arms rA, rB). The angular
+// terms are cached so each iteration is a few multiply-adds on the bodies'
+// velocity vectors, updated in place, with no allocation.
+export function jacobian(a, b, rA, rB, d) {
+  const rAxd = rA.cross(d);
+  const angA = a.invInertiaWorld.multiplyVec(rAxd);
+  let k = a.invMass + rAxd.dot(angA);
+  let rBxd = null, angB = null;
+  if (b) {
+    rBxd = rB.cross(d);
+    angB = b.invInertiaWorld.multiplyVec(rBxd);
+    k += b.invMass + rBxd.dot(angB);
+  }
+  return { d, rAxd, angA, rBxd, angB, mass: k > 0 ? 1 / k : 0 };
+}
+
+const NO_LINEAR = Vec3.zero();
+
+// A purely rotational row: relative angular velocity of a and b about `axis`
+export function angularJacobian(a, b, axis) {
+  const angA = a.invInertiaWorld.multiplyVec(axis);
+  let k = axis.dot(angA), angB = null;
+  if (b) {
+    angB = b.invInertiaWorld.multiplyVec(axis);
+    k += axis.dot(angB);
+  }
+  return { d: NO_LINEAR, rAxd: axis, angA, rBxd: b ? axis : null, angB, mass: k > 0 ? 1 / k : 0 };
+}
+
+// Relative velocity along the row; with `pseudo` set, of the split-impulse
+// pseudo velocities instead
+export function rowSpeed(j, a, b, pseudo) {
+  const d = j.d, r = j.rAxd;
+  const v = pseudo ? a.pseudoVelocity : a.velocity, w = pseudo ? a.pseudoAngularVelocity : a.angularVelocity;
+  let s = v.x*d.x + v.y*d.y + v.z*d.z + w.x*r.x + w.y*r.y + w.z*r.z;
+  if (b) {
+    const vb = pseudo ? b.pseudoVelocity : b.velocity, wb = pseudo ? b.pseudoAngularVelocity : b.angularVelocity, rb = j.rBxd;
+    s -= vb.x*d.x + vb.y*d.y + vb.z*d.z + wb.x*rb.x + wb.y*rb.y + wb.z*rb.z;
+  }
+  return s;
+}
+
+// Impulse `lambda` along the row: pushes a, and b the opposite way
+export function applyRowImpulse(j, a, b, lambda, pseudo) {
+  const d = j.d, la = lambda * a.invMass;
+  const v = pseudo ? a.pseudoVelocity : a.velocity, w = pseudo ? a.pseudoAngularVelocity : a.angularVelocity;
+  v.x += d.x * la; v.y += d.y * la; v.z += d.z * la;
+  w.x += j.angA.x * lambda; w.y += j.angA.y * lambda; w.z += j.angA.z * lambda;
+  if (b) {
+    const vb = pseudo ? b.pseudoVelocity : b.velocity, wb = pseudo ? b.pseudoAngularVelocity : b.angularVelocity;
+    const lb = lambda * b.invMass;
+    vb.x -= d.x * lb; vb.y -= d.y * lb; vb.z -= d.z * lb;
+    wb.x -= j.angB.x * lambda; wb.y -= j.angB.y * lambda; wb.z -= j.angB.z * lambda;
+  }
+}
+
+export class ContactSolver {
+  // Options: { iterations, positionIterations, warmStarting, warmStartFactor,
+  // positionCorrection: 'split'|'baumgarte', baumgarte, slop, materials: MaterialLibrary }
+  constructor(options = {}) {
+    this.materials = options.materials ?? new MaterialLibrary();
+    this.iterations = options.iterations ?? 10;
+    this.positionIterations = options.positionIterations ?? 4;
+    this.warmStarting = options.warmStarting ?? true;
+    // Fraction of last step's impulses to start from (1 = all of it)
+    this.warmStartFactor = options.warmStartFactor ?? 1;
+    this.positionCorrection = options.positionCorrection ?? 'split';
+    this.baumgarte = options.baumgarte ?? 0.2;
+    this.slop = options.slop ?? 0.005;
+    this.cache = new Map();
+    // Velocity error left on the contacts by the last solve (see velocityError)
+    this.residual = 0;
+  }
+
+  // Contacts are { a, b|null, point, normal (b towards a), depth, key }, where
+  // `key` identifies the body pair (or body/boundary plane) across steps.
+  // A negative depth is a gap within the narrowphase margin.
+  // Joints (see joints.js) are solved in the same passes, ahead of contacts.
+  solve(contacts, dt, joints = []) {
+    const rows = contacts.map(c => this.prepare(c, dt));
+    const active = joints.filter(joint => joint.active);
+    for (const joint of active) joint.prepare(dt, this);
+    if (this.warmStarting) {
+      for (const joint of active) joint.warmStart();
+      for (const row of rows) {
+        this.apply(row, row.normalRow, row.normalImpulse);
+        this.apply(row, row.tangentRows[0], row.tangentImpulse[0]);
+        this.apply(row, row.tangentRows[1], row.tangentImpulse[1]);
+      }
+    }
+    // Sweep direction alternates so no end of a stack is always solved last
+    const reversed = [...rows].reverse();
+    for (let iter = 0; iter < this.iterations; iter++) {
+      const order = iter % 2 ? reversed : rows;
+      for (const joint of active) joint.solveVelocity();
+      for (const row of order) this.solveNormal(row);
+      for (const row of order) this.solveFriction(row);
+    }
+    this.residual = this.velocityError(rows);
+    if (this.positionCorrection === 'split') {
+      for (let iter = 0; iter < this.positionIterations; iter++) {
+        for (const joint of active) joint.solvePosition(dt, this);
+        for (const row of rows) this.solvePosition(row, dt);
+      }
+    }
+    this.store(rows);
+    return rows;
+  }
+
+  prepare(c, dt) {
+    const { a, b, point, normal } = c;
+    const rA = point.sub(a.position);
+    const rB = b ? point.sub(b.position) : null;
+    const [t1, t2] = tangentBasis(normal);
+    const surface = this.materials.combine(a, b);
+    const row = {
+      a, b, point, normal, depth: c.depth, key: c.key,
+      localPoint: a.orientation.conjugate().rotateVector(rA),
+      normalRow: jacobian(a, b, rA, rB, normal),
+      tangentRows: [jacobian(a, b, rA, rB, t1), jacobian(a, b, rA, rB, t2)],
+      friction: surface.friction, bias: 0,
+      normalImpulse: 0, tangentImpulse: [0, 0], pseudoImpulse: 0,
+      rollingRows: null, rollingLimit: 0, rollingImpulse: [0, 0]
+    };
+    const slip = Math.hypot(rowSpeed(row.tangentRows[0], a, b, false), rowSpeed(row.tangentRows[1], a, b, false));
+    if (slip < STATIC_SPEED) row.friction = surface.staticFriction;
+    // Rolling resistance is a torque of up to rollingFriction × lever arm × normal impulse
+    if (surface.rollingFriction > 0) {
+      row.rollingRows = [angularJacobian(a, b, t1), angularJacobian(a, b, t2)];
+      row.rollingLimit = surface.rollingFriction * rA.length();
+    }
+    const vn = rowSpeed(row.normalRow, a, b, false);
+    if (c.depth < 0) {
+      // Speculative contact: still apart, so allow closing exactly the gap this step
+      row.bias = c.depth / dt;
+    } else {
+      row.bias = vn < -RESTITUTION_THRESHOLD ? -surface.restitution * vn : 0;
+      if (this.positionCorrection === 'baumgarte') {
+        row.bias = Math.max(row.bias, this.baumgarte / dt * Math.max(c.depth - this.slop, 0));
+      }
+    }
+    if (this.warmStarting) this.recall(row);
+    return row;
+  }
+
+  apply(row, j, lambda) {
+    applyRowImpulse(j, row.a, row.b, lambda, false);
+  }
+
+  // Coulomb friction: both tangent rows, then clamp the pair to the friction
+  // circle of this contact's current normal impulse
+  solveFriction(row) {
+    const a = row.a, b = row.b, r1 = row.tangentRows[0], r2 = row.tangentRows[1];
+    const old1 = row.tangentImpulse[0], old2 = row.tangentImpulse[1];
+    let j1 = old1 - rowSpeed(r1, a, b, false) * r1.mass;
+    let j2 = old2 - rowSpeed(r2, a, b, false) * r2.mass;
+    const maxFriction = row.friction * row.normalImpulse;
+    const len = Math.hypot(j1, j2);
+    if (len > maxFriction) {
+      const s = maxFriction / len;
+      j1 *= s;
+      j2 *= s;
+    }
+    this.apply(row, r1, j1 - old1);
+    this.apply(row, r2, j2 - old2);
+    row.tangentImpulse[0] = j1;
+    row.tangentImpulse[1] = j2;
+    if (row.rollingRows) this.solveRolling(row);
+  }
+
+  // Oppose relative spin about both tangents, within the rolling limit
+  solveRolling(row) {
+    const max = row.rollingLimit * row.normalImpulse;
+    for (let i = 0; i < 2; i++) {
+      const j = row.rollingRows[i], old = row.rollingImpulse[i];
+      const jr = Math.min(Math.max(old - rowSpeed(j, row.a, row.b, false) * j.mass, -max), max);
+      this.apply(row, j, jr - old);
+      row.rollingImpulse[i] = jr;
+    }
+  }
+
+  // Accumulated normal impulse never pulls the bodies together
+  solveNormal(row) {
+    const j = row.normalRow;
+    const vn = rowSpeed(j, row.a, row.b, false);
+    const jn = Math.max(row.normalImpulse + (row.bias - vn) * j.mass, 0);
+    this.apply(row, j, jn - row.normalImpulse);
+    row.normalImpulse = jn;
+  }
+
+  // Push along the normal with pseudo velocities, which move the bodies in
+  // this step's position update but are discarded afterwards
+  solvePosition(row, dt) {
+    const j = row.normalRow;
+    const target = this.baumgarte / dt * Math.max(row.depth - this.slop, 0);
+    const vn = rowSpeed(j, row.a, row.b, true);
+    const jn = Math.max(row.pseudoImpulse + (target - vn) * j.mass, 0);
+    applyRowImpulse(j, row.a, row.b, jn - row.pseudoImpulse, true);
+    row.pseudoImpulse = jn;
+  }
+
+  // Largest amount (m/s) by which a contact's normal row is still unsolved
+  // after the iterations: a pushing contact should close at exactly its bias,
+  // a slack one no faster. Grows when stacks or collisions need more iterations.
+  velocityError(rows) {
+    let error = 0;
+    for (const row of rows) {
+      const gap = row.bias - rowSpeed(row.normalRow, row.a, row.b, false);
+      error = Math.max(error, row.normalImpulse > 0 ? Math.abs(gap) : gap);
+    }
+    return error;
+  }
+
+  // Pick up last step's impulses for a contact at (nearly) the same body-space point
+  recall(row) {
+    const previous = this.cache.get(row.key);
+    if (!previous) return;
+    let best = null, bestDist = MATCH_DISTANCE_SQ;
+    for (const p of previous) {
+      const d = p.localPoint.sub(row.localPoint).lengthSq();
+      if (d < bestDist) { best = p; bestDist = d; }
+    }
+    if (!best) return;
+    row.normalImpulse = best.normalImpulse * this.warmStartFactor;
+    // Tangents are rebuilt every step, so carry friction as a world vector
+    const f = best.frictionImpulse.mul(this.warmStartFactor);
+    let j1 = f.dot(row.tangentRows[0].d), j2 = f.dot(row.tangentRows[1].d);
+    const maxFriction = row.friction * row.normalImpulse;
+    const len = Math.hypot(j1, j2);
+    if (len > maxFriction) {
+      j1 *= maxFriction / len;
+      j2 *= maxFriction / len;
+    }
+    row.tangentImpulse = [j1, j2];
+  }
+
+  // Replace the cache with this step's contacts; pairs that stopped touching drop out
+  store(rows) {
+    this.cache = new Map();
+    for (const row of rows) {
+      const [r1, r2] = row.tangentRows;
+      if (!this.cache.has(row.key)) this.cache.set(row.key, []);
+      this.cache.get(row.key).push({
+        localPoint: row.localPoint,
+        normalImpulse: row.normalImpulse,
+        frictionImpulse: r1.d.mul(row.tangentImpulse[0]).add(r2.d.mul(row.tangentImpulse[1]))
+      });
+    }
+  }
+
+  clear() {
+    this.cache.clear();
+    this.residual = 0;
+  }
+}
@@ -0,0 +1,87 @@
+import { Vec3, Mat3 } from './math.js';
+
+// --- Telemetry ---
+// Whole-world quantities for plotting how a simulation behaves. Static bodies
+// have infinite mass and are left out. Potential energy counts the forces the
+// world applies itself: uniform gravity (zero at the world's ground level), the
+// sun's pull in orbit mode (zero at infinity) and magnetic charges. Joint
+// springs, fluid drag and damping aren't conservative or aren't counted, so
+// total energy should only ever fall unless a kinematic body or a placed
+// force field pushes things around; otherwise a rise means the engine is
+// adding energy.
+
+export function kineticEnergy(b) {
+  if (b.invMass === 0) return 0;
+  const inertia = worldInertia(b);
+  return 0.5 * b.mass * b.velocity.lengthSq() + 0.5 * b.angularVelocity.dot(inertia.multiplyVec(b.angularVelocity));
+}
+
+// R * I * R^T, the body's inertia tensor in world axes
+function worldInertia(b) {
+  const r = Mat3.fromQuaternion(b.orientation);
+  return r.multiply(b.inertiaTensor).multiply(r.transpose());
+}
+
+export function potentialEnergy(world) {
+  const bodies = world.bodies.filter(b => b.invMass !== 0);
+  let energy = 0;
+  if (world.orbitMode) {
+    const sun = world.bodies.find(b => b.isSun);
+    for (const b of bodies) {
+      if (!sun || b.isSun) continue;
+      const dist = b.position.sub(sun.position).length();
+      if (dist > 0.1) energy -= world.sunGravity * b.mass / dist;
+    }
+  } else {
+    const ground = new Vec3(0, world.groundLevel, 0);
+    for (const b of bodies) energy -= b.mass * world.gravity.dot(b.position.sub(ground));
+  }
+  if (world.magneticMode) {
+    const charged = world.bodies.filter(b => b.magneticCharge);
+    for (let i = 0; i < charged.length; i++) {
+      for (let j = i + 1; j < charged.length; j++) {
+        const dist = charged[i].position.sub(charged[j].position).length();
+        if (dist > 0.1) energy += world.magneticStrength * charged[i].magneticCharge * charged[j].magneticCharge / dist;
+      }
+    }
+  }
+  return energy;
+}
+
+// { time, kinetic, potential, energy, linearMomentum, angularMomentum (about
+// the origin), contacts, penetration (deepest contact), solverError }
+export function measureWorld(world) {
+  let kinetic = 0;
+  let linear = Vec3.zero(), angular = Vec3.zero();
+  for (const b of world.bodies) {
+    if (b.invMass === 0) continue;
+    kinetic += kineticEnergy(b);
+    const p = b.velocity.mul(b.mass);
+    linear = linear.add(p);
+    angular = angular.add(b.position.cross(p)).add(worldInertia(b).multiplyVec(b.angularVelocity));
+  }
+  const potential = potentialEnergy(world);
+  let penetration = 0;
+  for (const c of world.contacts) penetration = Math.max(penetration, c.depth);
+  return {
+    time: world.time,
+    kinetic,
+    potential,
+    energy: kinetic + potential,
+    linearMomentum: linear,
+    angularMomentum: angular,
+    contacts: world.contacts.length,
+    penetration,
+    solverError: world.solver.residual
+  };
+}
+
+// { speed, angularSpeed, height, kinetic } of one body
+export function measureBody(b) {
+  return {
+    speed: b.velocity.length(),
+    angularSpeed: b.angularVelocity.length(),
+    height: b.position.y,
+    kinetic: kineticEnergy(b)
+  };
+}
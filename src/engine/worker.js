@@ -0,0 +1,130 @@
+import { PhysicsWorld } from './world.js';
+import { loadScene, bodyRecord, bodyFromRecord } from './scene.js';
+import { STATE_STRIDE, WORKER_IDS, writeState, readState, writeContacts } from './remote.js';
+
+// --- Physics worker ---
+// Runs a PhysicsWorld in a Web Worker (`new Worker(url, { type: 'module' })`)
+// on its own clock, so a heavy scene doesn't hold up the page. The page keeps
+// a copy of the world and streams edits in; src/main/physicsWorker.js is that
+// side. Messages in:
+//
+//   { type: 'load', scene, ids, sleeping, generation }  replace the world with a
+//       serializeScene scene; bodies take `ids` and the `sleeping` flags, in order
+//   { type: 'clock', timeScale, paused }
+//   { type: 'add', id, record }     a new body (a `bodyRecord`)
+//   { type: 'remove', id }
+//   { type: 'set', id, state }      overwrite a body's motion (its STATE_STRIDE
+//                                   numbers, see remote.js)
+//   { type: 'gravity', gravity }    [x, y, z]
+//   { type: 'buffer', buffer }      hand a state buffer back for reuse
+//
+// After every batch of steps it posts { type: 'state', generation, buffer,
+// count, time, stepCount, spawned, despawned, events, contacts, pairs, stats }.
+// `buffer` (a transferred Float64Array) holds the state of `count` bodies,
+// `contacts` the last step's contacts (see remote.js), `pairs` the
+// broadphase pairs as consecutive ids, `stats` { pairCount, collisionCount,
+// residual, axis } from the world, its solver and broadphase, `spawned`
+// lists emitter spawns as { id, emitter (index), record }, `despawned` the
+// ids they removed, and `events` the collision events as { name, a, b (ids,
+// b null for walls), trigger, impulse, point, normal, depth }. A load's
+// `generation` goes out with every state after it, so the page can drop
+// states from before its last load.
+
+const COLLISION_EVENTS = ['collisionBegin', 'collisionStay', 'collisionEnd'];
+
+const world = new PhysicsWorld();
+let generation = 0;
+let clock = { timeScale: 1, paused: true };
+let spawned = [], despawned = [], events = [];
+const buffers = [];
+
+world.on('spawn', ({ body, emitter }) => {
+  spawned.push({ id: body.id, emitter: world.emitters.indexOf(emitter), record: bodyRecord(body) });
+});
+// A body spawned and gone again before the page heard of it is never mentioned
+world.on('despawn', ({ body }) => {
+  const i = spawned.findIndex(s => s.id === body.id);
+  if (i >= 0) spawned.splice(i, 1);
+  else despawned.push(body.id);
+});
+for (const name of COLLISION_EVENTS) {
+  world.on(name, e => events.push({
+    name, a: e.a.id, b: e.b?.id ?? null, trigger: e.trigger, impulse: e.impulse,
+    point: e.point?.toArray() ?? null, normal: e.normal?.toArray() ?? null, depth: e.depth
+  }));
+}
+
+function postState() {
+  const size = world.bodies.length * STATE_STRIDE;
+  const i = buffers.findIndex(b => b.length >= size);
+  const buffer = i >= 0 ? buffers.splice(i, 1)[0] : new Float64Array(Math.max(size, 64 * STATE_STRIDE));
+  world.bodies.forEach((b, j) => writeState(b, buffer, j * STATE_STRIDE));
+  const contacts = writeContacts(world.contacts);
+  const pairs = new Float64Array(world.broadphase.pairs.flatMap(([a, b]) => [a.id, b.id]));
+  const stats = {
+    pairCount: world.pairCount, collisionCount: world.collisionCount,
+    residual: world.solver.residual, axis: world.broadphase.axis
+  };
+  self.postMessage({
+    type: 'state', generation, buffer, count: world.bodies.length,
+    time: world.time, stepCount: world.stepCount, spawned, despawned, events, contacts, pairs, stats
+  }, [buffer.buffer, contacts.buffer, pairs.buffer]);
+  spawned = [];
+  despawned = [];
+  events = [];
+}
+
+const HANDLERS = {
+  load({ scene, ids, sleeping }) {
+    loadScene(world, scene).forEach((b, i) => {
+      b.id = ids[i];
+      b.sleeping = sleeping[i];
+    });
+    world.nextBodyId = ids.reduce((next, id) => Math.max(next, id + 1), WORKER_IDS);
+    spawned = [];
+    despawned = [];
+    events = [];
+  },
+  clock({ timeScale, paused }) {
+    clock = { timeScale, paused };
+  },
+  add({ id, record }) {
+    const body = bodyFromRecord(record);
+    body.id = id;
+    world.addBody(body);
+  },
+  remove({ id }) {
+    const body = world.getBody(id);
+    if (body) world.removeBody(body);
+  },
+  set({ id, state }) {
+    const body = world.getBody(id);
+    if (body) readState(body, state);
+  },
+  gravity({ gravity }) {
+    world.setGravity(gravity);
+  },
+  buffer({ buffer }) {
+    buffers.push(buffer);
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.generation !== undefined) generation = data.generation;
+  HANDLERS[data.type](data);
+};
+
+// The world's own fixed steps, driven by the wall clock
+let last = performance.now();
+function tick() {
+  const now = performance.now();
+  const elapsed = Math.min(0.1, (now - last) / 1000);
+  last = now;
+  if (!clock.paused) {
+    const steps = world.stepCount;
+    world.advance(elapsed * clock.timeScale);
+    if (world.stepCount !== steps) postState();
+  }
+  setTimeout(tick, 1000 * world.fixedDt / 2);
+}
+tick();
@@ -0,0 +1,526 @@
+import { Vec3 } from './math.js';
+import { boundingRadius, featurePoints, innerRadius, shapeAABB } from './shapes.js';
+import { collideBodies } from './narrowphase.js';
+import { SweepAndPrune, overlaps } from './broadphase.js';
+import { ContactSolver } from './solver.js';
+import { MaterialLibrary } from './materials.js';
+import { Random } from './random.js';
+
+// --- Physics World ---
+// Options: { gravity: Vec3|[x,y,z], worldSize: number, solver: ContactSolver
+// options, allowSleep: boolean, fixedDt, substeps, seed, groundLevel,
+// materials: MaterialLibrary or its toJSON }. The world is a box `worldSize`
+// wide centred on the origin in x/z, with the ground at y = groundLevel
+// (default 0). `world.materials` holds the contact combine rules.
+//
+// `step(dt)` advances by exactly dt. Front-ends call `advance(frameTime)`
+// instead, which only ever steps by `fixedDt` (split into `substeps`), so a
+// run depends on the scene and its inputs, never on the frame rate.
+//
+// Events (see `on`): 'step' after each fixed step of `advance`, with the
+// world; 'collisionBegin', 'collisionStay' and 'collisionEnd' after each
+// `step` for every pair that started, kept or stopped touching, with
+// { a, b (null for the ground and walls), trigger, impulse, point, normal, depth }.
+// `impulse` is the normal impulse the solver applied between the pair in
+// that step (0 for triggers and ending pairs). Emitters (see emitters.js)
+// emit 'spawn' and 'despawn' with { body, emitter }.
+//
+// Force fields (see fields.js) and emitters are added with `addField` and
+// `addEmitter`, and run at the start of every step. Bodies with `ccd` set
+// are swept at the end of it, so they can't tunnel through thin things.
+
+// Each body's group has to be in the other's mask
+function canCollide(a, b) {
+  return (a.collisionGroup & b.collisionMask) !== 0 && (b.collisionGroup & a.collisionMask) !== 0;
+}
+
+// Same key whichever way round the broadphase returns a pair
+function pairKey(a, b) {
+  return a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+}
+
+// Kinematic bodies move, so they are never idle
+const idle = b => b.sleeping || (b.invMass === 0 && !b.kinematic);
+
+export class PhysicsWorld {
+  constructor(options = {}) {
+    this.bodies = [];
+    this.joints = [];
+    this.fields = [];
+    this.emitters = [];
+    this.gravity = Array.isArray(options.gravity) ? Vec3.fromArray(options.gravity) : (options.gravity?.copy() ?? new Vec3(0, -15, 0));
+    const size = options.worldSize ?? 100;
+    this.bounds = {x:size, y:size, z:size};
+    this.groundLevel = options.groundLevel ?? 0;
+    this.collisionCount = 0;
+    this.pairCount = 0;
+    // Moves cut short by continuous collision in the last step
+    this.ccdHits = 0;
+    // Near-touching pairs closer than this get speculative contacts
+    this.contactMargin = 0.02;
+    this.broadphase = new SweepAndPrune(this.contactMargin);
+    // Shared with the solver, so it is reloaded in place rather than replaced
+    this.materials = options.materials instanceof MaterialLibrary ? options.materials : new MaterialLibrary(options.materials);
+    this.solver = new ContactSolver({ ...options.solver, materials: this.materials });
+    this.contacts = [];
+    // Overlaps involving a trigger body: reported, never solved
+    this.triggerContacts = [];
+    // Pairs touching after the last step, by key, as their last event
+    this.touching = new Map();
+    // Bodies slower than these thresholds for `timeToSleep` seconds, together
+    // with everything they touch, stop being simulated until disturbed
+    this.allowSleep = options.allowSleep ?? true;
+    this.sleepLinearThreshold = 0.05;
+    this.sleepAngularThreshold = 0.05;
+    this.timeToSleep = 0.5;
+    this.orbitMode = false;
+    this.fluidMode = false;
+    this.magneticMode = false;
+    this.sunGravity = 50;
+    this.fluidDensity = 0.5;
+    this.magneticStrength = 0.3;
+    this.nextBodyId = 1;
+    this.fixedDt = options.fixedDt ?? 1/60;
+    this.substeps = options.substeps ?? 1;
+    // Frames slower than this many fixed steps drop time instead of spiralling
+    this.maxStepsPerFrame = 5;
+    this.accumulator = 0;
+    this.time = 0;
+    this.stepCount = 0;
+    this.random = new Random(options.seed ?? 1);
+    this.listeners = {};
+  }
+
+  // Listen for an event (see above); returns a function that stops listening
+  on(event, fn) {
+    (this.listeners[event] ??= []).push(fn);
+    return () => this.off(event, fn);
+  }
+  off(event, fn) {
+    this.listeners[event] = (this.listeners[event] ?? []).filter(f => f !== fn);
+  }
+  emit(event, data) {
+    for (const fn of this.listeners[event] ?? []) fn(data);
+  }
+
+  // Bodies coming back (e.g. on undo) keep their id; new ones are numbered past it
+  addBody(b) {
+    if (b.id === null || b.id === undefined) b.id = this.nextBodyId++;
+    else this.nextBodyId = Math.max(this.nextBodyId, b.id + 1);
+    this.bodies.push(b);
+    return b;
+  }
+  // Anything resting on (or jointed to) a removed body has to wake up and fall
+  removeBody(b) {
+    const i=this.bodies.indexOf(b);
+    if(i<0) return;
+    this.bodies.splice(i,1);
+    for (const joint of this.joints.filter(j => j.a === b || j.b === b)) this.removeJoint(joint);
+    if (b.aabb) this.wakeAround(b.aabb);
+  }
+
+  addJoint(joint) {
+    this.joints.push(joint);
+    for (const b of joint.bodies) if (b.sleeping) b.wake();
+    return joint;
+  }
+  removeJoint(joint) {
+    const i = this.joints.indexOf(joint);
+    if (i < 0) return;
+    this.joints.splice(i, 1);
+    for (const b of joint.bodies) if (b.sleeping) b.wake();
+  }
+  jointsOf(body) { return this.joints.filter(j => j.a === body || j.b === body); }
+
+  // Bodies already inside a new field wake up to feel it
+  addField(field) {
+    this.fields.push(field);
+    this.wakeAround(field.bounds());
+    return field;
+  }
+  removeField(field) {
+    const i = this.fields.indexOf(field);
+    if (i >= 0) this.fields.splice(i, 1);
+  }
+
+  addEmitter(emitter) {
+    this.emitters.push(emitter);
+    return emitter;
+  }
+  // Bodies it emitted stay in the world
+  removeEmitter(emitter) {
+    const i = this.emitters.indexOf(emitter);
+    if (i >= 0) this.emitters.splice(i, 1);
+  }
+  // Empty the world and rewind its clock, ids and random sequence, so
+  // rebuilding the same scene replays identically
+  clear() {
+    this.bodies = [];
+    this.joints = [];
+    this.fields = [];
+    this.emitters = [];
+    this.contacts = [];
+    this.triggerContacts = [];
+    this.touching = new Map();
+    this.solver.clear();
+    this.broadphase = new SweepAndPrune(this.contactMargin);
+    this.nextBodyId = 1;
+    this.accumulator = 0;
+    this.time = 0;
+    this.stepCount = 0;
+    this.random.setSeed(this.random.seed);
+  }
+  getBody(id) { return this.bodies.find(b => b.id === id) || null; }
+
+  setWorldSize(size) {
+    this.bounds = {x:size, y:size, z:size};
+    this.wakeAll();
+  }
+
+  // Run as many whole fixed steps as fit into `elapsed` seconds, carrying the
+  // remainder over. Returns how far (0..1) real time sits between the last two
+  // steps, for the renderer to interpolate with `body.interpolatedState(alpha)`.
+  advance(elapsed) {
+    this.accumulator += Math.min(elapsed, this.fixedDt * this.maxStepsPerFrame);
+    while (this.accumulator >= this.fixedDt) {
+      for (const b of this.bodies) b.savePreviousState();
+      const h = this.fixedDt / this.substeps;
+      for (let i = 0; i < this.substeps; i++) this.step(h);
+      this.accumulator -= this.fixedDt;
+      this.time += this.fixedDt;
+      this.stepCount++;
+      this.emit('step', this);
+    }
+    return this.accumulator / this.fixedDt;
+  }
+
+  setGravity(gravity) {
+    this.gravity = Array.isArray(gravity) ? Vec3.fromArray(gravity) : gravity.copy();
+    this.wakeAll();
+  }
+
+  wakeAll() {
+    for (const b of this.bodies) if (b.sleeping) b.wake();
+  }
+
+  // Wake every body whose (last computed) AABB touches `aabb`, slightly enlarged
+  wakeAround(aabb, margin = 0.1) {
+    const m = new Vec3(margin, margin, margin);
+    const region = { min: aabb.min.sub(m), max: aabb.max.add(m) };
+    for (const b of this.bodies) {
+      if (b.sleeping && b.aabb && overlaps(b.aabb, region)) b.wake();
+    }
+  }
+
+  // Bodies whose bounding sphere touches the query region.
+  // Options: { point, radius } and/or { aabb: {min, max} }, plus an optional `filter(body)`.
+  query(options = {}) {
+    return this.bodies.filter(b => {
+      const r = boundingRadius(b.shape);
+      if (options.point) {
+        const maxDist = r + (options.radius ?? 0);
+        if (b.position.sub(options.point).lengthSq() > maxDist * maxDist) return false;
+      }
+      if (options.aabb) {
+        const { min, max } = options.aabb;
+        if (b.position.x + r < min.x || b.position.x - r > max.x ||
+            b.position.y + r < min.y || b.position.y - r > max.y ||
+            b.position.z + r < min.z || b.position.z - r > max.z) return false;
+      }
+      return options.filter ? options.filter(b) : true;
+    });
+  }
+
+  step(dt) {
+    this.collisionCount = 0;
+    this.ccdHits = 0;
+    for (const b of this.bodies) if (b.kinematic && b.motion) b.followMotion(dt);
+    for (const emitter of this.emitters) emitter.update(this, dt);
+    for (const field of this.fields) field.update(this, dt);
+
+    for(const b of this.bodies) {
+      if (b.sleeping) { b.integrateVelocity(dt); continue; }
+
+      // Standard gravity
+      if (!this.orbitMode) {
+        b.applyForce(this.gravity.mul(b.mass));
+      }
+
+      // Fluid dynamics
+      if (this.fluidMode && b.position.y < this.groundLevel) {
+        const submergedVolume = Math.min(1, (this.groundLevel - b.position.y) / (b.shape.radius || b.shape.size/2));
+        const buoyancy = new Vec3(0, this.fluidDensity * submergedVolume * b.mass * 9.8, 0);
+        b.applyForce(buoyancy);
+
+        const drag = b.velocity.mul(-this.fluidDensity * 0.1 * b.velocity.length());
+        b.applyForce(drag);
+      }
+
+      // Magnetic forces
+      if (this.magneticMode && !b.isSun) {
+        for(const other of this.bodies) {
+          if (other !== b && other.magneticCharge) {
+            const dir = b.position.sub(other.position);
+            const dist = dir.length();
+            if (dist > 0.1) {
+              const forceMag = this.magneticStrength * b.magneticCharge * other.magneticCharge / (dist * dist);
+              const force = dir.normalize().mul(forceMag);
+              b.applyForce(force);
+            }
+          }
+        }
+      }
+
+      // Placed force fields
+      if (b.invMass !== 0) {
+        for (const field of this.fields) field.apply(b, this, dt);
+      }
+
+      // Orbit mode gravity
+      if (this.orbitMode && !b.isSun) {
+        let sun = this.bodies.find(body => body.isSun);
+        if (sun) {
+          let dir = sun.position.sub(b.position);
+          let dist = dir.length();
+          if (dist > 0.1) {
+            let forceMag = this.sunGravity * b.mass / (dist * dist);
+            let force = dir.normalize().mul(forceMag);
+            b.applyForce(force);
+          }
+        }
+      }
+
+      b.integrateVelocity(dt);
+    }
+
+    this.contacts = this.findContacts();
+    this.wakeJointed();
+    const rows = this.solver.solve(this.contacts, dt, this.joints);
+    const swept = this.bodies.filter(b => b.ccd && b.invMass !== 0 && !b.sleeping && !b.isTrigger).map(b => [b, b.position]);
+    for (const b of this.bodies) b.integratePosition(dt);
+    for (const [b, start] of swept) this.sweep(b, start);
+
+    // Orbit mode has no walls: bodies leaving the box re-enter on the other side
+    if (this.orbitMode) {
+      for(const b of this.bodies) {
+        if (b.isSun) continue;
+        for(const axis of ['x','y','z']) {
+          if(b.position[axis] < -this.bounds[axis]/2) {
+            b.position[axis] += this.bounds[axis];
+          }
+          if(b.position[axis] > this.bounds[axis]/2) {
+            b.position[axis] -= this.bounds[axis];
+          }
+        }
+      }
+    }
+
+    if (this.allowSleep) this.updateSleep(dt);
+    this.updateCollisions(rows);
+  }
+
+  // Every contact of this step: boundary planes first, then broadphase pairs
+  // through the narrowphase. A sleeping body touched by an awake (or
+  // kinematic) one wakes up together with its island; pairs that are both
+  // asleep or static, or both kinematic or static, are skipped,
+  // and so are pairs filtered out by their collision groups and jointed pairs
+  // unless the joint says they collide. Overlaps with a trigger go to
+  // `triggerContacts` instead, and wake nothing.
+  findContacts() {
+    const contacts = [];
+    this.triggerContacts = [];
+    if (!this.orbitMode) {
+      for (const b of this.bodies) {
+        if (b.invMass === 0 || b.sleeping || b.isTrigger) continue;
+        this.boundaryContacts(b, contacts);
+      }
+    }
+
+    const connected = new Set();
+    for (const joint of this.joints) {
+      if (joint.collideConnected || !joint.b) continue;
+      connected.add(`${joint.a.id}:${joint.b.id}`).add(`${joint.b.id}:${joint.a.id}`);
+    }
+
+    const pairs = this.broadphase.update(this.bodies);
+    this.pairCount = pairs.length;
+    for (const [a, b] of pairs) {
+      if ((idle(a) && idle(b)) || (a.invMass === 0 && b.invMass === 0)) continue;
+      if (!canCollide(a, b)) continue;
+      if (connected.size && connected.has(`${a.id}:${b.id}`)) continue;
+      const found = collideBodies(a, b, this.contactMargin);
+      if (!found.length) continue;
+      if (a.isTrigger || b.isTrigger) {
+        for (const c of found) {
+          if (c.depth > 0) this.triggerContacts.push({ a, b, point: c.point, normal: c.normal, depth: c.depth });
+        }
+        continue;
+      }
+      if (a.sleeping) a.wake();
+      if (b.sleeping) b.wake();
+      if (found.some(c => c.depth > 0)) this.collisionCount++;
+      const key = `${a.id}:${b.id}`;
+      for (const c of found) contacts.push({ a, b, point: c.point, normal: c.normal, depth: c.depth, key });
+    }
+    return contacts;
+  }
+
+  // Compare this step's touching pairs with the last step's and emit the
+  // collision events. A contact counts once it overlaps or the solver pushed
+  // on it. Pairs whose bodies are all asleep or static weren't tested, so
+  // they keep touching quietly until something wakes them.
+  updateCollisions(rows) {
+    const current = new Map(), carried = new Set();
+    const touch = (a, b, key, trigger, contact, impulse) => {
+      let event = current.get(key);
+      if (!event) current.set(key, event = { a, b, trigger, impulse: 0, point: null, normal: null, depth: -Infinity });
+      event.impulse += impulse;
+      if (contact.depth > event.depth) {
+        event.point = contact.point;
+        event.normal = contact.normal;
+        event.depth = contact.depth;
+      }
+    };
+    for (const row of rows) {
+      if (row.depth <= 0 && row.normalImpulse <= 0) continue;
+      touch(row.a, row.b, row.b ? pairKey(row.a, row.b) : row.key, false, row, row.normalImpulse);
+    }
+    for (const c of this.triggerContacts) touch(c.a, c.b, pairKey(c.a, c.b), true, c, 0);
+
+    const alive = this.touching.size ? new Set(this.bodies) : null;
+    for (const [key, event] of this.touching) {
+      if (current.has(key)) continue;
+      const { a, b } = event;
+      if (alive.has(a) && (!b || alive.has(b)) && idle(a) && (!b || idle(b))) {
+        current.set(key, event);
+        carried.add(key);
+      } else {
+        this.emit('collisionEnd', { ...event, impulse: 0 });
+      }
+    }
+    for (const [key, event] of current) {
+      if (!carried.has(key)) this.emit(this.touching.has(key) ? 'collisionStay' : 'collisionBegin', event);
+    }
+    this.touching = current;
+  }
+
+  // Continuous collision for a `ccd` body that moved from `start` this step:
+  // if it went further than it is thin, try poses along the way (against
+  // everything else where it now stands) and stop it where it first touches
+  // something, overlapping by less than half the contact margin. Only the
+  // translation is swept; the velocity is kept, so the next step's contact
+  // stops or bounces it as if it had landed there.
+  sweep(body, start) {
+    const end = body.position;
+    const move = end.sub(start);
+    const dist = move.length();
+    const spacing = innerRadius(body.shape);
+    if (dist <= spacing) return;
+    const from = shapeAABB(body.shape, start, body.orientation), to = shapeAABB(body.shape, end, body.orientation);
+    const region = {
+      min: new Vec3(Math.min(from.min.x, to.min.x), Math.min(from.min.y, to.min.y), Math.min(from.min.z, to.min.z)),
+      max: new Vec3(Math.max(from.max.x, to.max.x), Math.max(from.max.y, to.max.y), Math.max(from.max.z, to.max.z))
+    };
+    const hits = (t, others) => {
+      body.position = start.add(move.mul(t));
+      return others.some(o => collideBodies(body, o).some(c => c.depth > 0));
+    };
+    // Whatever it already touched at the start is the solver's business
+    const others = this.bodies.filter(o => o !== body && !o.isTrigger && canCollide(body, o) &&
+      overlaps(shapeAABB(o.shape, o.position, o.orientation), region) && !hits(0, [o]));
+    const n = Math.ceil(dist / spacing);
+    for (let i = 1; i <= n && others.length; i++) {
+      if (!hits(i / n, others)) continue;
+      let free = (i - 1) / n, blocked = i / n;
+      while ((blocked - free) * dist > this.contactMargin / 2) {
+        const t = (free + blocked) / 2;
+        if (hits(t, others)) blocked = t;
+        else free = t;
+      }
+      body.position = start.add(move.mul(blocked));
+      this.ccdHits++;
+      return;
+    }
+    body.position = end;
+  }
+
+  // A joint pulling on a sleeping body wakes it, like a contact would
+  wakeJointed() {
+    for (const joint of this.joints) {
+      if (!joint.active) continue;
+      for (const b of joint.bodies) if (b.sleeping) b.wake();
+    }
+  }
+
+  // Ground, walls and ceiling of the world box, as inward-facing planes
+  // { normal, offset }: a point p is outside when p.dot(normal) < offset
+  boundaryPlanes() {
+    const { x, y, z } = this.bounds;
+    return [
+      { normal: new Vec3(0, 1, 0), offset: this.groundLevel, ground: true },
+      { normal: new Vec3(1, 0, 0), offset: -x/2 },
+      { normal: new Vec3(-1, 0, 0), offset: -x/2 },
+      { normal: new Vec3(0, 0, 1), offset: -z/2 },
+      { normal: new Vec3(0, 0, -1), offset: -z/2 },
+      { normal: new Vec3(0, -1, 0), offset: -(this.groundLevel + y) }
+    ];
+  }
+
+  // One contact per corner/rim point below each boundary plane, so off-centre
+  // hits tip and spin the body
+  boundaryContacts(b, contacts) {
+    this.boundaryPlanes().forEach((plane, i) => {
+      const n = plane.normal;
+      let touching = false;
+      for (const p of featurePoints(b.shape, b.position, b.orientation, n)) {
+        const depth = plane.offset - p.dot(n);
+        if (depth <= -this.contactMargin) continue;
+        contacts.push({ a: b, b: null, point: p, normal: n, depth, key: `${b.id}:plane${i}` });
+        touching = touching || depth > 0;
+      }
+      if (touching) this.collisionCount++;
+    });
+  }
+
+  // Union bodies that share a contact or a joint into islands. An island falls asleep
+  // only once every body in it has been slow for `timeToSleep`, so a pile
+  // sleeps (and later wakes) as a whole.
+  updateSleep(dt) {
+    const linSq = this.sleepLinearThreshold ** 2;
+    const angSq = this.sleepAngularThreshold ** 2;
+    const parent = new Map();
+    const find = b => {
+      while (parent.get(b) !== b) {
+        parent.set(b, parent.get(parent.get(b)));
+        b = parent.get(b);
+      }
+      return b;
+    };
+    for (const b of this.bodies) {
+      if (b.invMass === 0 || b.sleeping) continue;
+      const calm = b.velocity.lengthSq() < linSq && b.angularVelocity.lengthSq() < angSq;
+      b.sleepTimer = calm ? b.sleepTimer + dt : 0;
+      parent.set(b, b);
+    }
+    for (const c of this.contacts) {
+      if (!c.b || !parent.has(c.a) || !parent.has(c.b)) continue;
+      parent.set(find(c.a), find(c.b));
+    }
+    for (const joint of this.joints) {
+      if (!joint.b || !parent.has(joint.a) || !parent.has(joint.b)) continue;
+      parent.set(find(joint.a), find(joint.b));
+    }
+
+    const islands = new Map();
+    for (const b of parent.keys()) {
+      const root = find(b);
+      if (!islands.has(root)) islands.set(root, []);
+      islands.get(root).push(b);
+    }
+    for (const island of islands.values()) {
+      if (island.every(b => b.sleepTimer >= this.timeToSleep)) {
+        for (const b of island) b.sleep(island);
+      }
+    }
+  }
+}
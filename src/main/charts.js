@@ -0,0 +1,97 @@
+// --- Telemetry charts ---
+// Scrolling line charts drawn on a 2D canvas. A chart keeps the last `length`
+// samples of each series in a ring and fits its y axis to what it holds;
+// the legend shows each series' latest value.
+export class Chart {
+  constructor(canvas, { title, series, length = 600 }) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.title = title;
+    this.length = length;
+    this.series = series.map(s => ({ ...s, values: new Float64Array(length) }));
+    this.head = 0;
+    this.count = 0;
+  }
+
+  // One value per series, in the order they were given
+  push(...values) {
+    this.series.forEach((s, i) => { s.values[this.head] = values[i]; });
+    this.head = (this.head + 1) % this.length;
+    this.count = Math.min(this.count + 1, this.length);
+  }
+
+  clear() {
+    this.head = 0;
+    this.count = 0;
+  }
+
+  // i-th oldest sample of a series
+  sample(s, i) {
+    return s.values[(this.head - this.count + i + this.length) % this.length];
+  }
+
+  latest(s) {
+    return this.count ? this.sample(s, this.count - 1) : null;
+  }
+
+  draw() {
+    const { ctx, canvas } = this;
+    const w = canvas.width, h = canvas.height, top = 16, bottom = h - 4;
+    ctx.clearRect(0, 0, w, h);
+    let min = Infinity, max = -Infinity;
+    for (const s of this.series) {
+      for (let i = 0; i < this.count; i++) {
+        const v = this.sample(s, i);
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+    }
+    if (!this.count) { min = 0; max = 1; }
+    if (max - min < 1e-9) { min -= 0.5; max += 0.5; }
+    const y = v => bottom - (v - min) / (max - min) * (bottom - top);
+
+    if (min < 0 && max > 0) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.beginPath();
+      ctx.moveTo(0, y(0));
+      ctx.lineTo(w, y(0));
+      ctx.stroke();
+    }
+    ctx.lineWidth = 1.5;
+    for (const s of this.series) {
+      ctx.strokeStyle = s.color;
+      ctx.beginPath();
+      for (let i = 0; i < this.count; i++) {
+        const x = (i + this.length - this.count) / (this.length - 1) * w;
+        if (i === 0) ctx.moveTo(x, y(this.sample(s, i)));
+        else ctx.lineTo(x, y(this.sample(s, i)));
+      }
+      ctx.stroke();
+    }
+    ctx.lineWidth = 1;
+
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#aaa';
+    ctx.fillText(this.title, 4, 2);
+    let x = ctx.measureText(this.title).width + 14;
+    for (const s of this.series) {
+      const text = `${s.label} ${formatValue(this.latest(s))}`;
+      ctx.fillStyle = s.color;
+      ctx.fillText(text, x, 2);
+      x += ctx.measureText(text).width + 10;
+    }
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'right';
+    ctx.fillText(formatValue(max), w - 2, top);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(formatValue(min), w - 2, bottom);
+    ctx.textAlign = 'left';
+  }
+}
+
+export function formatValue(v) {
+  if (v === null) return '–';
+  const a = Math.abs(v);
+  return a !== 0 && (a >= 1e4 || a < 0.01) ? v.toExponential(1) : v.toFixed(2);
+}
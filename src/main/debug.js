@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { shapeMesh } from './meshes.js';
+
+// --- Debug view ---
+// Overlays of what the engine is doing, drawn over the render meshes with
+// three.js helpers. Each can be switched on by name:
+//   contacts    contact points (red) and their normals (yellow)
+//   colliders   wireframe of each body's collision shape
+//   aabbs       the bounding boxes the broadphase sorts (fattened by the contact margin)
+//   velocities  linear (cyan) and angular (magenta) velocity arrows
+//   broadphase  a line per candidate pair, and an arrow along the sweep axis
+//   sleeping    collider wireframes coloured awake (green), asleep (blue) or static (grey)
+export const DEBUG_OVERLAYS = ['contacts', 'colliders', 'aabbs', 'velocities', 'broadphase', 'sleeping'];
+
+const COLOR = {
+  contact: 0xff3355, normal: 0xffd93d, collider: 0xffffff, aabb: 0xff9f1c,
+  velocity: 0x00e5ff, spin: 0xff4dff, pair: 0xffffff,
+  awake: 0x39ff88, asleep: 0x4a6fff, static: 0x888888
+};
+// Arrow length per m/s (or rad/s)
+const ARROW_SCALE = 0.3;
+const NORMAL_LENGTH = 0.5;
+
+const AXIS_DIRECTION = { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0), z: new THREE.Vector3(0, 0, 1) };
+
+// Line segments drawn on top of everything, refilled from a point list each frame
+function overlayLines(color, opacity = 1) {
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity, depthTest: false }));
+  lines.frustumCulled = false;
+  lines.renderOrder = 999;
+  return lines;
+}
+
+// Points are anything with x/y/z. The buffer only grows, so a steady scene
+// reuses the same one frame after frame.
+function setPoints(object, points) {
+  const geometry = object.geometry;
+  let position = geometry.getAttribute('position');
+  if (!position || position.count < points.length) {
+    geometry.dispose();
+    position = new THREE.BufferAttribute(new Float32Array(Math.max(64, points.length * 2) * 3), 3);
+    position.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', position);
+  }
+  points.forEach((p, i) => position.setXYZ(i, p.x, p.y, p.z));
+  position.needsUpdate = true;
+  geometry.setDrawRange(0, points.length);
+  object.visible = points.length > 0;
+}
+
+// pool[i], created on first use
+function pooled(pool, i, group, create) {
+  if (!pool[i]) {
+    pool[i] = create();
+    group.add(pool[i]);
+  }
+  pool[i].visible = true;
+  return pool[i];
+}
+
+function hideFrom(pool, i) {
+  for (; i < pool.length; i++) pool[i].visible = false;
+}
+
+function dispose(object) {
+  object.removeFromParent();
+  object.traverse(obj => obj.geometry?.dispose());
+}
+
+function stateColor(b) {
+  if (b.invMass === 0) return COLOR.static;
+  return b.sleeping ? COLOR.asleep : COLOR.awake;
+}
+
+export class DebugView {
+  constructor(scene) {
+    this.group = new THREE.Group();
+    scene.add(this.group);
+    this.enabled = new Set();
+    this.contactPoints = new THREE.Points(new THREE.BufferGeometry(),
+      new THREE.PointsMaterial({ color: COLOR.contact, size: 0.15, depthTest: false }));
+    this.contactPoints.frustumCulled = false;
+    this.contactPoints.renderOrder = 999;
+    this.contactNormals = overlayLines(COLOR.normal);
+    this.pairLines = overlayLines(COLOR.pair, 0.4);
+    this.sweepAxis = new THREE.ArrowHelper(AXIS_DIRECTION.x, new THREE.Vector3(), 4, COLOR.pair);
+    this.group.add(this.contactPoints, this.contactNormals, this.pairLines, this.sweepAxis);
+    this.colliders = new Map(); // body -> { shape, object }
+    this.boxes = [];
+    this.arrows = [];
+    this.update(null);
+  }
+
+  get active() { return this.enabled.size > 0; }
+
+  // Switch an overlay on or off (flips it without `on`); returns its new state
+  toggle(name, on = !this.enabled.has(name)) {
+    if (on) this.enabled.add(name);
+    else this.enabled.delete(name);
+    return on;
+  }
+
+  // Redraw every enabled overlay from the world's current state. Colliders
+  // follow the render meshes so they line up with interpolated frames.
+  update(world) {
+    const show = name => world !== null && this.enabled.has(name);
+    // Bodies hidden by the front-end (e.g. not yet spawned in a replayed frame) are skipped
+    const bodies = (world?.bodies ?? []).filter(b => b.mesh?.visible !== false);
+
+    const points = [], normals = [];
+    if (show('contacts')) {
+      for (const c of world.contacts) {
+        points.push(c.point);
+        normals.push(c.point, c.point.add(c.normal.mul(NORMAL_LENGTH)));
+      }
+    }
+    setPoints(this.contactPoints, points);
+    setPoints(this.contactNormals, normals);
+
+    const pairs = [];
+    if (show('broadphase')) {
+      for (const [a, b] of world.broadphase.pairs) pairs.push(a.position, b.position);
+      this.sweepAxis.setDirection(AXIS_DIRECTION[world.broadphase.axis]);
+    }
+    setPoints(this.pairLines, pairs);
+    this.sweepAxis.visible = show('broadphase');
+
+    this.updateColliders(bodies, show('colliders'), show('sleeping'));
+
+    let boxes = 0;
+    if (show('aabbs')) {
+      for (const b of bodies) {
+        if (!b.aabb) continue;
+        const helper = pooled(this.boxes, boxes++, this.group, () => new THREE.Box3Helper(new THREE.Box3(), COLOR.aabb));
+        helper.box.min.set(b.aabb.min.x, b.aabb.min.y, b.aabb.min.z);
+        helper.box.max.set(b.aabb.max.x, b.aabb.max.y, b.aabb.max.z);
+      }
+    }
+    hideFrom(this.boxes, boxes);
+
+    let arrows = 0;
+    if (show('velocities')) {
+      for (const b of bodies) {
+        for (const [v, color] of [[b.velocity, COLOR.velocity], [b.angularVelocity, COLOR.spin]]) {
+          const length = v.length() * ARROW_SCALE;
+          if (length < 0.01) continue;
+          const arrow = pooled(this.arrows, arrows++, this.group, () => {
+            const helper = new THREE.ArrowHelper(AXIS_DIRECTION.y, new THREE.Vector3(), 1, color);
+            helper.traverse(obj => { if (obj.material) obj.material.depthTest = false; obj.renderOrder = 999; });
+            return helper;
+          });
+          arrow.position.set(b.position.x, b.position.y, b.position.z);
+          arrow.setDirection(new THREE.Vector3(v.x, v.y, v.z).normalize());
+          arrow.setLength(length, Math.min(0.2, length * 0.3), Math.min(0.12, length * 0.2));
+          arrow.setColor(color);
+        }
+      }
+    }
+    hideFrom(this.arrows, arrows);
+  }
+
+  // One wireframe per body, rebuilt when its shape object changes
+  updateColliders(bodies, colliders, sleeping) {
+    const alive = new Set(colliders || sleeping ? bodies : []);
+    for (const [b, entry] of this.colliders) {
+      if (alive.has(b)) continue;
+      dispose(entry.object);
+      this.colliders.delete(b);
+    }
+    for (const b of alive) {
+      let entry = this.colliders.get(b);
+      if (entry?.shape !== b.shape) {
+        if (entry) dispose(entry.object);
+        const material = new THREE.MeshBasicMaterial({ wireframe: true, transparent: true, opacity: 0.6 });
+        const object = shapeMesh(b.shape, material);
+        object.traverse(obj => { obj.castShadow = false; obj.receiveShadow = false; });
+        entry = { shape: b.shape, object, material };
+        this.colliders.set(b, entry);
+        this.group.add(object);
+      }
+      if (b.mesh) {
+        entry.object.position.copy(b.mesh.position);
+        entry.object.quaternion.copy(b.mesh.quaternion);
+      } else {
+        entry.object.position.set(b.position.x, b.position.y, b.position.z);
+        entry.object.quaternion.set(b.orientation.x, b.orientation.y, b.orientation.z, b.orientation.w);
+      }
+      entry.material.color.setHex(sleeping ? stateColor(b) : COLOR.collider);
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import * as THREE from 'three';
+import { FIELD_TYPE } from '../engine/index.js';
+
+// --- Field and emitter markers ---
+// See-through render objects for the placed force fields and emitters: a
+// wireframe of each field's region (with an arrow for wind and a vortex's
+// axis), a translucent box for water and a cone along an emitter's launch
+// velocity. Markers are built at the origin and positioned by the caller, so
+// an edited field just gets a new one.
+
+export const FIELD_COLORS = {
+  attractor: 0x54a0ff, repulsor: 0xff6b6b, wind: 0xc8d6e5, vortex: 0xa55eea,
+  water: 0x1e90ff, explosion: 0xff9f1c, emitter: 0x1dd1a1
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+function wireframe(geometry, color) {
+  return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color, wireframe: true, transparent: true, opacity: 0.35 }));
+}
+
+function arrow(v, color, maxLength = 4) {
+  const dir = new THREE.Vector3(v.x, v.y, v.z);
+  const length = Math.min(maxLength, Math.max(0.5, dir.length() * 0.4));
+  return new THREE.ArrowHelper(dir.lengthSq() > 0 ? dir.normalize() : UP, new THREE.Vector3(), length, color);
+}
+
+// Display name for a field's type (attractors with negative strength repel)
+export function fieldName(item) {
+  if (!item.type) return 'emitter';
+  return item.type === FIELD_TYPE.ATTRACTOR && item.strength < 0 ? 'repulsor' : item.type;
+}
+
+// Marker for a field or an emitter (anything without a `type`)
+export function fieldMarker(item) {
+  const name = fieldName(item);
+  const color = FIELD_COLORS[name];
+  const group = new THREE.Group();
+  if (name === 'emitter') {
+    const cone = new THREE.Mesh(new THREE.ConeGeometry(0.35, 0.8, 16),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.7 }));
+    const v = item.velocity;
+    if (v.lengthSq() > 0) cone.quaternion.setFromUnitVectors(UP, new THREE.Vector3(v.x, v.y, v.z).normalize());
+    group.add(cone, arrow(v, color));
+  } else if (item.halfExtents) {
+    const h = item.halfExtents;
+    const geometry = new THREE.BoxGeometry(2 * h.x, 2 * h.y, 2 * h.z);
+    if (name === 'water') {
+      group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.25, depthWrite: false })));
+    } else {
+      group.add(wireframe(geometry, color));
+    }
+    if (item.wind) group.add(arrow(item.wind, color));
+  } else {
+    group.add(wireframe(new THREE.SphereGeometry(item.radius, 24, 16), color));
+    if (item.axis) group.add(arrow(item.axis.mul(item.radius), color, item.radius));
+  }
+  group.position.set(item.position.x, item.position.y, item.position.z);
+  return group;
+}
+
+export function disposeMarker(object) {
+  object.removeFromParent();
+  object.traverse(obj => {
+    obj.geometry?.dispose();
+    obj.material?.dispose();
+  });
+}
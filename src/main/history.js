@@ -0,0 +1,70 @@
+// --- Undo history ---
+// Commands are { label, undo(), redo() } for edits that have already been
+// made; `push` records one. Commands pushed between `begin()` and `end()`
+// (a paint stroke, say) undo and redo as a single step.
+export class History {
+  constructor({ limit = 100, onChange = () => {} } = {}) {
+    this.limit = limit;
+    this.onChange = onChange;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.group = null;
+  }
+
+  get canUndo() { return this.undoStack.length > 0; }
+  get canRedo() { return this.redoStack.length > 0; }
+
+  push(command) {
+    if (this.group) {
+      this.group.commands.push(command);
+      return;
+    }
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+    this.onChange();
+  }
+
+  begin(label) {
+    if (!this.group) this.group = { label, commands: [] };
+  }
+
+  // Empty groups leave no step behind
+  end() {
+    const group = this.group;
+    this.group = null;
+    if (!group?.commands.length) return;
+    const { commands } = group;
+    this.push({
+      label: group.label,
+      undo: () => { for (let i = commands.length - 1; i >= 0; i--) commands[i].undo(); },
+      redo: () => { for (const c of commands) c.redo(); }
+    });
+  }
+
+  undo() {
+    this.end();
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    this.redoStack.push(command);
+    this.onChange();
+    return command;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    command.redo();
+    this.undoStack.push(command);
+    this.onChange();
+    return command;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.group = null;
+    this.onChange();
+  }
+}
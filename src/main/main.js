@@ -1,216 +1,19 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-
-// --- Vector/Quaternion/Shape ---
-class Vec3 {
-  constructor(x=0, y=0, z=0) { this.x=x; this.y=y; this.z=z;}
-  add(v) { return new Vec3(this.x+v.x, this.y+v.y, this.z+v.z);}
-  sub(v) { return new Vec3(this.x-v.x, this.y-v.y, this.z-v.z);}
-  mul(s) { return new Vec3(this.x*s, this.y*s, this.z*s);}
-  dot(v) { return this.x*v.x + this.y*v.y + this.z*v.z;}
-  length() { return Math.sqrt(this.x*this.x+this.y*this.y+this.z*this.z);}
-  normalize() { const l=this.length(); return l===0?new Vec3():this.mul(1/l);}
-  copy() { return new Vec3(this.x,this.y,this.z);}
-  set(x, y, z) {this.x=x;this.y=y;this.z=z;}
-  static zero() { return new Vec3(0,0,0);}
-}
-
-class Quaternion { // Minimal placeholder for orientation
-  constructor(x=0,y=0,z=0,w=1){this.x=x;this.y=y;this.z=z;this.w=w;}
-}
-
-const SHAPE_TYPE = { SPHERE:0, BOX:1, CYLINDER:2, CUSTOM:3 };
-class SphereShape { constructor(radius) { this.type=SHAPE_TYPE.SPHERE; this.radius=radius; } }
-class BoxShape { constructor(size) { this.type=SHAPE_TYPE.BOX; this.size=size; } }
-class CylinderShape {
-  constructor(radius=1, height=2) {
-    this.type = SHAPE_TYPE.CYLINDER;
-    this.radius = radius;
-    this.height = height;
-  }
-}
-class CompoundShape {
-  constructor(shapes) {
-    this.type = SHAPE_TYPE.CUSTOM;
-    this.shapes = shapes; // array of {shape, offset}
-  }
-}
-
-// --- Rigid Body ---
-class RigidBody {
-  constructor(position, shape, mass, mesh) {
-    this.position = position.copy();
-    this.velocity = Vec3.zero();
-    this.force = Vec3.zero();
-    this.shape = shape;
-    this.mass = mass;
-    this.invMass = mass>0 ? 1/mass : 0;
-    this.mesh = mesh;
-    this.restitution = 0.35;
-    this.friction = 0.3;
-    this.angularVelocity = Vec3.zero();
-    this.orientation = new Quaternion();
-    this.torque = Vec3.zero();
-    // Inertia (demo-only for sphere/cylinder)
-    if(shape.type === SHAPE_TYPE.SPHERE)
-      this.inertia = (2/5)*mass*Math.pow(shape.radius,2);
-    else if(shape.type === SHAPE_TYPE.CYLINDER)
-      this.inertia = (1/2)*mass*Math.pow(shape.radius,2);
-    else
-      this.inertia = 1;
-    this.invInertia = this.inertia > 0 ? 1/this.inertia : 0;
-  }
-  applyForce(f) { this.force = this.force.add(f); }
-  applyTorque(t) { this.torque = this.torque.add(t); }
-  integrate(dt) {
-    if(this.invMass===0) return;
-    // linear
-    this.velocity = this.velocity.add(this.force.mul(dt*this.invMass));
-    this.position = this.position.add(this.velocity.mul(dt));
-    // angular
-    this.angularVelocity = this.angularVelocity.add(this.torque.mul(dt*this.invInertia));
-    this.torque = Vec3.zero();
-    if(this.mesh) {
-      this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-      if(this.angularVelocity.length() > 0.0001) {
-        this.mesh.rotateX(this.angularVelocity.x * dt);
-        this.mesh.rotateY(this.angularVelocity.y * dt);
-        this.mesh.rotateZ(this.angularVelocity.z * dt);
-      }
-    }
-    this.force = Vec3.zero();
-  }
-}
-
-// --- Physics World ---
-class PhysicsWorld {
-  constructor() {
-    this.bodies = [];
-    this.gravity = new Vec3(0, -10, 0);
-    this.bounds = {x:20,y:20,z:20};
-    this.collisionCount = 0;
-  }
-  addBody(b) { this.bodies.push(b);}
-  removeBody(b) { const i=this.bodies.indexOf(b); if(i>-1) this.bodies.splice(i,1);}
-  update(dt) {
-    this.collisionCount = 0;
-    // Broadphase spatial hash
-    let grid = {};
-    for(const b of this.bodies) {
-      let key = `${Math.floor(b.position.x)}:${Math.floor(b.position.y)}:${Math.floor(b.position.z)}`;
-      if(!grid[key]) grid[key]=[];
-      grid[key].push(b);
-    }
-    for(const b of this.bodies) {
-      b.applyForce(this.gravity.mul(b.mass));
-      b.integrate(dt);
-    }
-
-    // Ground and Bounds Collision
-    for(const b of this.bodies) {
-        let halfSize = 0;
-        if (b.shape.type === SHAPE_TYPE.SPHERE) halfSize = b.shape.radius;
-        else if (b.shape.type === SHAPE_TYPE.BOX) halfSize = b.shape.size / 2;
-        else if (b.shape.type === SHAPE_TYPE.CYLINDER) halfSize = b.shape.height / 2;
-        
-        // Ground collision
-        if(b.position.y < halfSize) {
-          b.position.y = halfSize;
-          b.velocity.y = -b.velocity.y * b.restitution;
-          // Apply friction
-          b.velocity.x *= (1 - b.friction);
-          b.velocity.z *= (1 - b.friction);
-        }
-
-        // Wall/Ceiling collisions
-        for(const axis of ['x','z']) {
-            if(b.position[axis] < -this.bounds[axis]/2 + halfSize) {
-              b.position[axis] = -this.bounds[axis]/2 + halfSize;
-              b.velocity[axis] = -b.velocity[axis]*b.restitution;
-            }
-            if(b.position[axis] > this.bounds[axis]/2 - halfSize) {
-              b.position[axis] = this.bounds[axis]/2 - halfSize;
-              b.velocity[axis] = -b.velocity[axis]*b.restitution;
-            }
-        }
-         if(b.position.y > this.bounds.y - halfSize) {
-              b.position.y = this.bounds.y - halfSize;
-              b.velocity.y = -b.velocity.y*b.restitution;
-         }
-    }
-
-    // Object collisions (only within same grid cell)
-    for(const cell in grid) {
-      let cellBodies = grid[cell];
-      for(let i=0;i<cellBodies.length;i++) {
-        let a=cellBodies[i];
-        for(let j=i+1;j<cellBodies.length;j++) {
-          let b=cellBodies[j];
-          if(a.shape.type===SHAPE_TYPE.SPHERE && b.shape.type===SHAPE_TYPE.SPHERE) {
-            let d = a.position.sub(b.position);
-            let dist = d.length();
-            let minDist = a.shape.radius + b.shape.radius;
-            if(dist < minDist && dist>0) {
-              let norm = d.normalize();
-              let penetration = minDist-dist;
-              let relVel = a.velocity.sub(b.velocity).dot(norm);
-              let impulse = (-(1+Math.min(a.restitution,b.restitution))*relVel)/
-                            (a.invMass+b.invMass);
-              let impulseVec = norm.mul(impulse);
-              a.velocity = a.velocity.add(impulseVec.mul(a.invMass));
-              b.velocity = b.velocity.sub(impulseVec.mul(b.invMass));
-              a.position = a.position.add(norm.mul(penetration*a.invMass/(a.invMass+b.invMass)));
-              b.position = b.position.sub(norm.mul(penetration*b.invMass/(a.invMass+b.invMass)));
-              this.collisionCount++;
-            }
-          } else if(a.shape.type===SHAPE_TYPE.BOX && b.shape.type===SHAPE_TYPE.BOX) {
-            if(boxCollides(a, b)) {
-              let norm = a.position.sub(b.position).normalize();
-              let relVel = a.velocity.sub(b.velocity).dot(norm);
-              let impulse = (-(1+Math.min(a.restitution,b.restitution))*relVel)/
-                            (a.invMass+b.invMass);
-              let impulseVec = norm.mul(impulse);
-              a.velocity = a.velocity.add(impulseVec.mul(a.invMass));
-              b.velocity = b.velocity.sub(impulseVec.mul(b.invMass));
-              a.position = a.position.add(norm.mul(0.05*a.invMass/(a.invMass+b.invMass)));
-              b.position = b.position.sub(norm.mul(0.05*b.invMass/(a.invMass+b.invMass)));
-              this.collisionCount++;
-            }
-          } else if(a.shape.type===SHAPE_TYPE.CYLINDER && b.shape.type===SHAPE_TYPE.CYLINDER) {
-            if(cylinderCollides(a, b)) {
-              let norm = a.position.sub(b.position).normalize();
-              let relVel = a.velocity.sub(b.velocity).dot(norm);
-              let impulse = (-(1+Math.min(a.restitution,b.restitution))*relVel)/
-                            (a.invMass+b.invMass);
-              let impulseVec = norm.mul(impulse);
-              a.velocity = a.velocity.add(impulseVec.mul(a.invMass));
-              b.velocity = b.velocity.sub(impulseVec.mul(b.invMass));
-              a.position = a.position.add(norm.mul(0.05*a.invMass/(a.invMass+b.invMass)));
-              b.position = b.position.sub(norm.mul(0.05*b.invMass/(a.invMass+b.invMass)));
-              this.collisionCount++;
-            }
-          }
-        }
-      }
-    }
-  }
-}
-
-function boxCollides(a, b) {
-  let sa = a.shape.size, sb = b.shape.size;
-  return Math.abs(a.position.x-b.position.x) < (sa+sb)/2 &&
-         Math.abs(a.position.y-b.position.y) < (sa+sb)/2 &&
-         Math.abs(a.position.z-b.position.z) < (sa+sb)/2;
-}
-function cylinderCollides(a, b) {
-  let dx = a.position.x - b.position.x;
-  let dz = a.position.z - b.position.z;
-  let dist = Math.sqrt(dx*dx + dz*dz);
-  let minDist = a.shape.radius + b.shape.radius;
-  let yOverlap = Math.abs(a.position.y-b.position.y) < (a.shape.height+b.shape.height)/2;
-  return dist < minDist && yOverlap;
-}
+import {
+  Vec3, Quaternion, SHAPE_TYPE, SphereShape, BoxShape, CylinderShape, RigidBody, createWorld,
+  shapeAABB, shapeScale, scaleShape, serializeScene, readScene, loadScene, worldSettings, restoreWorldSettings
+} from '../engine/index.js';
+import { createModelBody, restoreModelMesh, bodyOfObject, setEmissive } from './models.js';
+import { shapeMesh } from './meshes.js';
+import { fieldMarker } from './fields.js';
+import {
+  listSlots, saveSlot, loadSlot, deleteSlot, downloadScene, shareLink, sceneFromHash, embedOptions
+} from './storage.js';
+import { History } from './history.js';
+import { PhysicsWorker } from './physicsWorker.js';
 
 // --- Rendering & UI ---
 const scene = new THREE.Scene();
@@ -249,9 +52,9 @@ dirLight.castShadow = true;
 scene.add(dirLight);
 
 // Physics setup
-const world = new PhysicsWorld();
+const world = createWorld({ gravity: new Vec3(0, -10, 0), worldSize: 20 });
 
-// Spawn shapes menu
+// Spawn shapes menu; imported models are added as { name, type: CUSTOM, model }
 const spawnShapes = [
   {name:'Sphere', type:SHAPE_TYPE.SPHERE},
   {name:'Box', type:SHAPE_TYPE.BOX},
@@ -259,24 +62,29 @@ const spawnShapes = [
 ];
 const spawnShapeSelect = document.getElementById('spawn-shape');
 function updateSpawnShapeOptions() {
+  const current = spawnShapeSelect.value;
   spawnShapeSelect.innerHTML = '';
   for(const s of spawnShapes) {
     let opt = document.createElement('option');
     opt.value = s.name;
-    opt.textContent = s.name;
+    opt.textContent = s.model ? `📦 ${s.name}` : s.name;
     spawnShapeSelect.appendChild(opt);
   }
+  if(current) spawnShapeSelect.value = current;
 }
 updateSpawnShapeOptions();
 
-// File/model loading
+// File/model loading: each model becomes a spawnable shape
 const gltfLoader = new GLTFLoader();
 const loadedModels = [];
 document.getElementById('model-input').addEventListener('change', e => {
   for(const file of e.target.files) {
     const url = URL.createObjectURL(file);
     gltfLoader.load(url, gltf => {
-      loadedModels.push(gltf.scene);
+      const model = { name: file.name, scene: gltf.scene };
+      loadedModels.push(model);
+      spawnShapes.push({ name: file.name, type: SHAPE_TYPE.CUSTOM, model });
+      updateSpawnShapeOptions();
       const li = document.createElement('li');
       li.textContent = file.name;
       document.getElementById('file-list').appendChild(li);
@@ -287,9 +95,10 @@ document.getElementById('model-input').addEventListener('change', e => {
 function spawnBody(shapeName, position = new Vec3(0,5,0)) {
   let shapeDef = spawnShapes.find(s => s.name===shapeName);
   if(!shapeDef) return;
+  if(shapeDef.model) return spawnModel(shapeDef.model, position);
   let mesh, shape, mass;
   if(shapeDef.type===SHAPE_TYPE.SPHERE) {
-    let radius = 0.4 + Math.random()*0.3;
+    let radius = 0.4 + world.random.next()*0.3;
     shape = new SphereShape(radius);
     mesh = new THREE.Mesh(
       new THREE.SphereGeometry(radius, 24, 16),
@@ -297,7 +106,7 @@ function spawnBody(shapeName, position = new Vec3(0,5,0)) {
     );
     mass = 1;
   } else if(shapeDef.type===SHAPE_TYPE.BOX) {
-    let size = 0.4 + Math.random()*0.4;
+    let size = 0.4 + world.random.next()*0.4;
     shape = new BoxShape(size);
     mesh = new THREE.Mesh(
       new THREE.BoxGeometry(size, size, size),
@@ -305,7 +114,7 @@ function spawnBody(shapeName, position = new Vec3(0,5,0)) {
     );
     mass = 1.5;
   } else if(shapeDef.type===SHAPE_TYPE.CYLINDER) {
-    let radius = 0.3 + Math.random()*0.3, height = 0.8 + Math.random()*0.8;
+    let radius = 0.3 + world.random.next()*0.3, height = 0.8 + world.random.next()*0.8;
     shape = new CylinderShape(radius, height);
     mesh = new THREE.Mesh(
       new THREE.CylinderGeometry(radius, radius, height, 20),
@@ -316,32 +125,185 @@ function spawnBody(shapeName, position = new Vec3(0,5,0)) {
   mesh.position.set(position.x, position.y, position.z);
   mesh.castShadow = true;
   scene.add(mesh);
-  let rb = new RigidBody(position, shape, mass, mesh);
-  rb.angularVelocity = new Vec3(Math.random()*2-1, Math.random()*2-1, Math.random()*2-1);
+  let rb = new RigidBody(position, shape, mass);
+  rb.mesh = mesh;
+  rb.angularVelocity = new Vec3(world.random.next()*2-1, world.random.next()*2-1, world.random.next()*2-1);
   rb.friction = Number(document.getElementById('friction-slider').value);
   rb.restitution = Number(document.getElementById('restitution-slider').value);
+  rb.ccd = ccdSpawns;
   world.addBody(rb);
   return rb;
 }
 
+function spawnModel(model, position) {
+  const rb = createModelBody(model, position, {
+    collider: document.getElementById('collider-type').value,
+    density: Number(document.getElementById('density-slider').value)
+  });
+  rb.mesh.position.set(position.x, position.y, position.z);
+  scene.add(rb.mesh);
+  rb.friction = Number(document.getElementById('friction-slider').value);
+  rb.restitution = Number(document.getElementById('restitution-slider').value);
+  rb.ccd = ccdSpawns;
+  world.addBody(rb);
+  return rb;
+}
+
+// --- Undo/Redo ---
+// Edits record commands that hold on to the bodies they touched, so undoing
+// puts the very same bodies (and their meshes) back
+const history = new History({ onChange: () => {
+  document.getElementById('undo-btn').disabled = !history.canUndo;
+  document.getElementById('redo-btn').disabled = !history.canRedo;
+}});
+document.getElementById('undo-btn').onclick = () => history.undo();
+document.getElementById('redo-btn').onclick = () => history.redo();
+window.addEventListener('keydown', e => {
+  const key = e.key.toLowerCase();
+  if(!(e.ctrlKey || e.metaKey) || (key !== 'z' && key !== 'y')) return;
+  if(['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return; // the field's own undo
+  e.preventDefault();
+  if(key === 'y' || e.shiftKey) history.redo();
+  else history.undo();
+});
+
+// Everything an edit can change on a body
+function bodyState(b) {
+  return {
+    position: b.position.copy(), orientation: b.orientation.copy(),
+    velocity: b.velocity.copy(), angularVelocity: b.angularVelocity.copy(),
+    shape: b.shape, mass: b.mass, friction: b.friction, restitution: b.restitution,
+    staticFriction: b.staticFriction, rollingFriction: b.rollingFriction, materialType: b.materialType,
+    scale: b.mesh.scale.clone()
+  };
+}
+function setBodyState(b, state) {
+  b.position = state.position.copy();
+  b.orientation = state.orientation.copy();
+  b.velocity = state.velocity.copy();
+  b.angularVelocity = state.angularVelocity.copy();
+  b.shape = state.shape;
+  b.mass = state.mass;
+  b.friction = state.friction;
+  b.restitution = state.restitution;
+  b.staticFriction = state.staticFriction;
+  b.rollingFriction = state.rollingFriction;
+  b.materialType = state.materialType;
+  b.mesh.scale.copy(state.scale);
+  refreshBody(b);
+}
+
+// Recompute inertia after the shape, mass or orientation was edited; static
+// bodies stay static
+function refreshBody(b) {
+  const isStatic = b.invMass === 0;
+  b.setMass(b.mass);
+  if(isStatic) b.makeStatic();
+  b.savePreviousState();
+  b.wake();
+  syncMesh(b);
+}
+
+function addBodies(bodies, joints = []) {
+  for(const b of bodies) {
+    world.addBody(b);
+    scene.add(b.mesh);
+  }
+  for(const j of joints) world.addJoint(j);
+}
+// Returns the joints removed along with the bodies
+function removeBodies(bodies) {
+  const joints = [...new Set(bodies.flatMap(b => world.jointsOf(b)))];
+  for(const b of bodies) {
+    scene.remove(b.mesh);
+    world.removeBody(b);
+  }
+  if(bodies.some(b => selection.includes(b))) select(selection.filter(b => !bodies.includes(b)));
+  return joints;
+}
+
+function recordSpawn(body) {
+  const state = bodyState(body);
+  let joints = [];
+  history.push({
+    label: 'Spawn',
+    undo: () => { joints = removeBodies([body]); },
+    redo: () => { setBodyState(body, state); addBodies([body], joints); }
+  });
+}
+
+// `before` holds each body's bodyState from ahead of the edit
+function recordEdit(bodies, before, label) {
+  const after = bodies.map(bodyState);
+  history.push({
+    label,
+    undo: () => { bodies.forEach((b, i) => setBodyState(b, before[i])); updateObjectInfo(); },
+    redo: () => { bodies.forEach((b, i) => setBodyState(b, after[i])); updateObjectInfo(); }
+  });
+}
+
+// Reset and imports swap out everything in the world, settings, clock and
+// random numbers included
+function worldContents() {
+  return {
+    bodies: [...world.bodies], joints: [...world.joints], fields: [...world.fields], emitters: [...world.emitters],
+    settings: worldSettings(world), timeScale
+  };
+}
+function setWorldContents(contents) {
+  world.bodies.forEach(b => scene.remove(b.mesh));
+  hideFieldMarkers();
+  world.clear();
+  deselect();
+  addBodies(contents.bodies, contents.joints);
+  contents.fields.forEach(f => world.addField(f));
+  contents.emitters.forEach(e => world.addEmitter(e));
+  showFieldMarkers();
+  restoreWorldSettings(world, contents.settings);
+  timeScale = contents.timeScale;
+  syncControls();
+  physicsWorker?.sync();
+}
+function recordWorldEdit(label, edit) {
+  const before = worldContents();
+  edit();
+  const after = worldContents();
+  history.push({ label, undo: () => setWorldContents(before), redo: () => setWorldContents(after) });
+}
+
 // --- UI Event Listeners ---
 let gravitySlider = document.getElementById('gravity-slider');
-gravitySlider.addEventListener('input', () => world.gravity.y = Number(gravitySlider.value));
+gravitySlider.addEventListener('input', () => { world.gravity.y = Number(gravitySlider.value); world.wakeAll(); });
 
 let timescaleSlider = document.getElementById('timescale-slider');
 let timeScale = 1;
 timescaleSlider.addEventListener('input', () => timeScale = Number(timescaleSlider.value));
+let substepsSlider = document.getElementById('substeps-slider');
+substepsSlider.addEventListener('input', () => world.substeps = Number(substepsSlider.value));
+
+// Slider positions follow the world after loads and undo
+function syncControls() {
+  gravitySlider.value = world.gravity.y;
+  timescaleSlider.value = timeScale;
+  substepsSlider.value = world.substeps;
+}
 
 document.getElementById('shoot-btn').addEventListener('click', () => {
   let newBody = spawnBody(spawnShapeSelect.value, new Vec3(0, 5, 0));
-  if(newBody) newBody.velocity = new Vec3(0,0,-12);
+  if(newBody) {
+    newBody.velocity = new Vec3(0,0,-12);
+    recordSpawn(newBody);
+  }
 });
 
 document.getElementById('reset-btn').addEventListener('click', () => {
-  world.bodies.forEach(b => scene.remove(b.mesh));
-  world.bodies = [];
-  selectedBody = null;
-  updateObjectInfo();
+  recordWorldEdit('Reset World', () => {
+    world.bodies.forEach(b => scene.remove(b.mesh));
+    hideFieldMarkers();
+    world.clear();
+    physicsWorker?.sync();
+    deselect();
+  });
 });
 
 let paused = false;
@@ -361,88 +323,203 @@ document.getElementById('cam-top-btn').onclick = () => { camera.position.set(0,2
 document.getElementById('cam-side-btn').onclick = () => { camera.position.set(16,8,0); controls.target.set(0,0,0); };
 
 document.getElementById('reset-object-btn').onclick = () => {
-  if(selectedBody) {
-    selectedBody.position = new Vec3(0,5,0);
-    selectedBody.velocity = Vec3.zero();
-    selectedBody.angularVelocity = Vec3.zero();
-    selectedBody.mesh.position.set(0,5,0);
-    selectedBody.mesh.rotation.set(0,0,0);
+  if(selection.length) {
+    const bodies = [...selection], before = bodies.map(bodyState);
+    for(const b of bodies) {
+      b.position = new Vec3(0,5,0);
+      b.velocity = Vec3.zero();
+      b.angularVelocity = Vec3.zero();
+      b.orientation = Quaternion.identity();
+      refreshBody(b);
+    }
+    recordEdit(bodies, before, 'Reset Object');
     updateObjectInfo();
   }
 };
 
-// --- Save/Load (unchanged) ---
+// --- Save/Load ---
+// Scenes use the engine's versioned format (see engine/scene.js); Save and
+// Load use browser save slots, Export and Import JSON files
+function currentScene() {
+  return serializeScene(world, {
+    camera: { position: camera.position.toArray(), target: controls.target.toArray(), fov: camera.fov },
+    settings: { timeScale, paused, paintMode },
+    describeBody: b => ({
+      color: b.mesh.material?.color.getHex(),
+      ...(b.model && { model: { ...b.model, stretch: b.mesh.scale.toArray() } })
+    })
+  });
+}
+
+function restoreMesh(body, record) {
+  if(record.model) {
+    body.model = { ...record.model };
+    return restoreModelMesh(body, loadedModels);
+  }
+  return shapeMesh(body.shape, new THREE.MeshStandardMaterial({color: record.color ?? 0x888888}));
+}
+
+function applyScene(data) {
+  world.bodies.forEach(b => scene.remove(b.mesh));
+  hideFieldMarkers();
+  deselect();
+  loadScene(world, data, { onBody: (body, record) => {
+    body.mesh = restoreMesh(body, record);
+    syncMesh(body);
+    scene.add(body.mesh);
+  }});
+  showFieldMarkers();
+  if(data.camera) {
+    camera.position.fromArray(data.camera.position);
+    controls.target.fromArray(data.camera.target);
+    camera.fov = data.camera.fov ?? camera.fov;
+    camera.updateProjectionMatrix();
+  }
+  timeScale = data.settings.timeScale ?? timeScale;
+  if(data.settings.paused !== undefined) document.getElementById(data.settings.paused ? 'pause-btn' : 'resume-btn').click();
+  if(data.settings.paintMode !== undefined && data.settings.paintMode !== paintMode) document.getElementById('paint-btn').click();
+  syncControls();
+  physicsWorker?.sync();
+}
+
+const slotSelect = document.getElementById('scene-slot');
+function updateSlotOptions(selected = slotSelect.value) {
+  slotSelect.innerHTML = '<option value="">＋ New Slot</option>';
+  for(const name of listSlots()) {
+    let opt = document.createElement('option');
+    opt.value = opt.textContent = name;
+    slotSelect.appendChild(opt);
+  }
+  slotSelect.value = listSlots().includes(selected) ? selected : '';
+}
+updateSlotOptions();
+
 document.getElementById('save-btn').addEventListener('click', () => {
-  let data = world.bodies.map(b => ({
-    type: b.shape.type, position: [b.position.x, b.position.y, b.position.z], velocity: [b.velocity.x, b.velocity.y, b.velocity.z],
-    angularVelocity: [b.angularVelocity.x, b.angularVelocity.y, b.angularVelocity.z], mass: b.mass, friction: b.friction, restitution: b.restitution,
-    size: b.shape.size || b.shape.radius, height: b.shape.height, color: b.mesh.material.color.getHex()
-  }));
-  let blob = new Blob([JSON.stringify(data)], {type:'application/json'});
-  let a = document.createElement('a');
-  a.href = URL.createObjectURL(blob); a.download = 'sandbox-scene.json'; a.click();
+  const name = slotSelect.value || prompt('Save scene as:', `Scene ${listSlots().length + 1}`);
+  if(!name) return;
+  try {
+    saveSlot(name, currentScene());
+    updateSlotOptions(name);
+  } catch (error) {
+    alert(`Could not save the scene: ${error.message}`);
+  }
 });
 
 document.getElementById('load-btn').addEventListener('click', () => {
-    // This is a placeholder for the original load functionality.
-    // The original `loadScene` function was removed, you might want to re-add it if needed.
-    alert("Load scene functionality needs to be connected.");
+  if(!slotSelect.value) return alert('Pick a saved slot to load.');
+  try {
+    const data = loadSlot(slotSelect.value);
+    recordWorldEdit('Load Scene', () => applyScene(data));
+  } catch (error) {
+    alert(error.message);
+  }
 });
 
+document.getElementById('delete-slot-btn').addEventListener('click', () => {
+  if(slotSelect.value && confirm(`Delete the saved scene "${slotSelect.value}"?`)) {
+    deleteSlot(slotSelect.value);
+    updateSlotOptions('');
+  }
+});
+
+document.getElementById('export-btn').addEventListener('click', () => downloadScene(currentScene(), 'sandbox-scene.json'));
+
 document.getElementById('import-btn').onclick = () => document.getElementById('import-scene-input').click();
 document.getElementById('import-scene-input').addEventListener('change', e => {
-      let file = e.target.files[0];
-      if(file) {
-        let reader = new FileReader();
-        reader.onload = () => {
-          let data = JSON.parse(reader.result);
-          world.bodies.forEach(b => scene.remove(b.mesh));
-          world.bodies = [];
-          for(const obj of data) {
-            let mesh, shape;
-            if(obj.type===SHAPE_TYPE.SPHERE) {
-              shape = new SphereShape(obj.size);
-              mesh = new THREE.Mesh(
-                new THREE.SphereGeometry(obj.size, 24, 16),
-                new THREE.MeshStandardMaterial({color:obj.color})
-              );
-            } else if(obj.type===SHAPE_TYPE.BOX) {
-              shape = new BoxShape(obj.size);
-              mesh = new THREE.Mesh(
-                new THREE.BoxGeometry(obj.size, obj.size, obj.size),
-                new THREE.MeshStandardMaterial({color:obj.color})
-              );
-            } else if(obj.type===SHAPE_TYPE.CYLINDER) {
-              shape = new CylinderShape(obj.size, obj.height || 2);
-              mesh = new THREE.Mesh(
-                new THREE.CylinderGeometry(obj.size, obj.size, obj.height||2, 20),
-                new THREE.MeshStandardMaterial({color:obj.color})
-              );
-            }
-            mesh.position.set(...obj.position);
-            mesh.castShadow = true;
-            scene.add(mesh);
-            let rb = new RigidBody(new Vec3(...obj.position), shape, obj.mass, mesh);
-            rb.velocity = new Vec3(...obj.velocity);
-            rb.angularVelocity = new Vec3(...obj.angularVelocity);
-            rb.friction = obj.friction;
-            rb.restitution = obj.restitution;
-            world.addBody(rb);
-          }
-          alert('Scene imported!');
-        };
-        reader.readAsText(file);
+  let file = e.target.files[0];
+  if(file) {
+    let reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const data = readScene(reader.result);
+        recordWorldEdit('Import Scene', () => applyScene(data));
+      } catch (error) {
+        alert(error.message);
       }
+    };
+    reader.readAsText(file);
+  }
+  e.target.value = '';
+});
+
+// --- Share Links ---
+// The scene rides in the URL hash (see storage.js); the embed code is the
+// same link with ?embed in an iframe
+async function copyText(text, what) {
+  try {
+    await navigator.clipboard.writeText(text);
+    alert(`${what} copied to the clipboard.`);
+  } catch {
+    prompt(`Copy the ${what.toLowerCase()}:`, text);
+  }
+}
+
+document.getElementById('share-btn').addEventListener('click', async () => {
+  const link = await shareLink(currentScene());
+  window.history.replaceState(null, '', link); // `history` here is the undo stack
+  copyText(link, 'Share link');
 });
 
+document.getElementById('embed-btn').addEventListener('click', async () => {
+  const link = await shareLink(currentScene(), { embed: true });
+  copyText(`<iframe src="${link}" width="640" height="400" style="border:0" allowfullscreen></iframe>`, 'Embed code');
+});
 
-// --- Material Sliders (unchanged) ---
-document.getElementById('friction-slider').addEventListener('input', e => { if(selectedBody) selectedBody.friction = Number(e.target.value); updateObjectInfo(); });
-document.getElementById('restitution-slider').addEventListener('input', e => { if(selectedBody) selectedBody.restitution = Number(e.target.value); updateObjectInfo(); });
+// Opening a link from the address bar is an undoable edit; the page's first load isn't
+function loadSceneFromHash(label = null) {
+  return sceneFromHash().then(data => {
+    if(!data) return;
+    if(label) recordWorldEdit(label, () => applyScene(data));
+    else applyScene(data);
+  }).catch(error => {
+    if(!embed) alert(error.message);
+  });
+}
+window.addEventListener('hashchange', () => loadSceneFromHash('Open Link'));
+
+
+// --- Force Fields & Emitters ---
+// They're placed in approx.html; scenes bring them here, drawn as markers
+function showFieldMarkers() {
+  for(const item of [...world.fields, ...world.emitters]) {
+    item.mesh ??= fieldMarker(item);
+    scene.add(item.mesh);
+  }
+}
+function hideFieldMarkers() {
+  [...world.fields, ...world.emitters].forEach(item => scene.remove(item.mesh));
+}
+
+world.on('spawn', ({ body, emitter }) => {
+  body.mesh = shapeMesh(body.shape, new THREE.MeshStandardMaterial({color: emitter.body.color ?? 0x888888}));
+  syncMesh(body);
+  scene.add(body.mesh);
+});
+world.on('despawn', ({ body }) => {
+  scene.remove(body.mesh);
+  if(selection.includes(body)) select(selection.filter(b => b !== body));
+});
+
+// --- Material Sliders ---
+// Sliders set every selected body. One slider drag is one undo step: remember
+// where it started, record on release.
+let materialEdit = null;
+for(const key of ['friction', 'restitution']) {
+  const slider = document.getElementById(`${key}-slider`);
+  slider.addEventListener('input', e => {
+    if(!selection.length) return;
+    materialEdit ??= { bodies: [...selection], before: selection.map(bodyState) };
+    for(const b of materialEdit.bodies) b[key] = Number(e.target.value);
+    updateObjectInfo();
+  });
+  slider.addEventListener('change', () => {
+    if(!materialEdit) return;
+    recordEdit(materialEdit.bodies, materialEdit.before, `Set ${key}`);
+    materialEdit = null;
+  });
+}
 
 // --- User Interaction Logic ---
-let selectedBody = null;
-let draggingBody = null;
 let paintMode = false;
 let isPainting = false;
 let lastPaintPoint = new THREE.Vector3();
@@ -463,106 +540,397 @@ document.getElementById('paint-btn').addEventListener('click', () => {
     controls.enabled = !paintMode; // Disable camera controls in paint mode
 });
 
+// --- Cannon ---
+// In cannon mode a click fires a small ball from the camera along the mouse
+// ray instead of selecting. Cannonballs always use continuous collision (see
+// PhysicsWorld.sweep); other spawns only while the CCD toggle is on.
+let cannonMode = false;
+let ccdSpawns = false;
+const cannonSpeedSlider = document.getElementById('cannon-speed-slider');
+
+document.getElementById('cannon-btn').addEventListener('click', () => {
+  cannonMode = !cannonMode;
+  document.getElementById('cannon-btn').classList.toggle('active', cannonMode);
+});
+document.getElementById('ccd-btn').addEventListener('click', () => {
+  ccdSpawns = !ccdSpawns;
+  document.getElementById('ccd-btn').classList.toggle('active', ccdSpawns);
+});
+
+function fireCannon() {
+  raycaster.setFromCamera(mouse, camera);
+  const dir = raycaster.ray.direction;
+  const start = camera.position.clone().addScaledVector(dir, 1);
+  const radius = 0.15;
+  const rb = new RigidBody(new Vec3(start.x, start.y, start.z), new SphereShape(radius), 0.5);
+  rb.mesh = new THREE.Mesh(
+    new THREE.SphereGeometry(radius, 16, 12),
+    new THREE.MeshStandardMaterial({color:0x333333, metalness:0.8, roughness:0.3})
+  );
+  rb.mesh.position.copy(start);
+  rb.mesh.castShadow = true;
+  scene.add(rb.mesh);
+  rb.velocity = new Vec3(dir.x, dir.y, dir.z).mul(Number(cannonSpeedSlider.value));
+  rb.friction = Number(document.getElementById('friction-slider').value);
+  rb.restitution = Number(document.getElementById('restitution-slider').value);
+  rb.ccd = true;
+  world.addBody(rb);
+  recordSpawn(rb);
+}
+
 function getMouseIntersection() {
   raycaster.setFromCamera(mouse, camera);
   const intersects = raycaster.intersectObject(paintPlane);
   return intersects.length > 0 ? intersects[0].point : null;
 }
 
+// --- Selection ---
+// Click selects a body, Shift+click adds or removes one, Shift+drag on empty
+// space selects everything inside the box. The last body picked is the one
+// the inspector shows.
+let selection = [];
+const primary = () => selection[selection.length - 1] ?? null;
+
+function select(bodies) {
+  for(const b of selection) setEmissive(b.mesh, 0x000000);
+  selection = bodies;
+  for(const b of selection) setEmissive(b.mesh, 0x00ff40);
+  placeGizmo();
+  buildInspector();
+}
+function deselect() { select([]); }
+
+const selectionBox = document.getElementById('selection-box');
+let boxStart = null;
+
+function updateSelectionBox(e) {
+  selectionBox.style.left = `${Math.min(boxStart.x, e.clientX)}px`;
+  selectionBox.style.top = `${Math.min(boxStart.y, e.clientY)}px`;
+  selectionBox.style.width = `${Math.abs(e.clientX - boxStart.x)}px`;
+  selectionBox.style.height = `${Math.abs(e.clientY - boxStart.y)}px`;
+}
+
+// Bodies whose centre projects into the screen rectangle between two points
+function bodiesInBox(a, b) {
+  const left = Math.min(a.x, b.x), right = Math.max(a.x, b.x);
+  const top = Math.min(a.y, b.y), bottom = Math.max(a.y, b.y);
+  const v = new THREE.Vector3();
+  return world.bodies.filter(body => {
+    v.set(body.position.x, body.position.y, body.position.z).project(camera);
+    const x = (v.x + 1) / 2 * window.innerWidth, y = (1 - v.y) / 2 * window.innerHeight;
+    return v.z < 1 && x >= left && x <= right && y >= top && y <= bottom;
+  });
+}
+
+// --- Gizmo ---
+// TransformControls move a pivot placed on the selection: on the body itself
+// when only one is selected (so rotating and scaling use its own axes), at
+// the centre of the group otherwise. Pivot changes are carried over to the
+// bodies, which are held static until the drag ends.
+const pivot = new THREE.Object3D();
+scene.add(pivot);
+const gizmo = new TransformControls(camera, renderer.domElement);
+scene.add(gizmo);
+const GIZMO_SNAP = { translate: 0.5, rotate: THREE.MathUtils.degToRad(15), scale: 0.1 };
+const GIZMO_LABELS = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' };
+let gizmoEdit = null;
+
+function placeGizmo() {
+  if(!selection.length) {
+    gizmo.detach();
+    return;
+  }
+  if(selection.length === 1) {
+    const { position: p, orientation: q } = selection[0];
+    pivot.position.set(p.x, p.y, p.z);
+    pivot.quaternion.set(q.x, q.y, q.z, q.w);
+  } else {
+    pivot.position.set(0, 0, 0);
+    for(const b of selection) pivot.position.add(new THREE.Vector3(b.position.x, b.position.y, b.position.z));
+    pivot.position.divideScalar(selection.length);
+    pivot.quaternion.identity();
+  }
+  pivot.scale.set(1, 1, 1);
+  if(gizmo.object !== pivot) gizmo.attach(pivot);
+}
+
+function setGizmoMode(mode) {
+  gizmo.setMode(mode);
+  document.getElementById('gizmo-mode').value = mode;
+}
+document.getElementById('gizmo-mode').addEventListener('change', e => setGizmoMode(e.target.value));
+
+let snapping = false;
+document.getElementById('snap-btn').addEventListener('click', () => {
+  snapping = !snapping;
+  document.getElementById('snap-btn').classList.toggle('active', snapping);
+  gizmo.setTranslationSnap(snapping ? GIZMO_SNAP.translate : null);
+  gizmo.setRotationSnap(snapping ? GIZMO_SNAP.rotate : null);
+  gizmo.setScaleSnap(snapping ? GIZMO_SNAP.scale : null);
+});
+
+window.addEventListener('keydown', e => {
+  if(e.ctrlKey || e.metaKey || e.altKey || ['INPUT', 'SELECT'].includes(e.target.tagName)) return;
+  const mode = { w: 'translate', e: 'rotate', r: 'scale' }[e.key.toLowerCase()];
+  if(mode) setGizmoMode(mode);
+});
+
+gizmo.addEventListener('dragging-changed', e => {
+  controls.enabled = !e.value && !paintMode;
+  if(e.value) {
+    pivot.updateMatrixWorld();
+    const toPivot = pivot.matrixWorld.clone().invert();
+    const bodies = [...selection];
+    gizmoEdit = {
+      bodies,
+      before: bodies.map(bodyState),
+      wasStatic: bodies.map(b => b.invMass === 0),
+      // Each body's centre in pivot space, and the pivot's starting rotation undone
+      offsets: bodies.map(b => new THREE.Vector3(b.position.x, b.position.y, b.position.z).applyMatrix4(toPivot)),
+      unturn: pivot.quaternion.clone().invert()
+    };
+    for(const b of bodies) b.makeStatic();
+  } else if(gizmoEdit) {
+    const { bodies, before, wasStatic } = gizmoEdit;
+    gizmoEdit = null;
+    bodies.forEach((b, i) => {
+      if(!wasStatic[i]) b.setMass(b.mass);
+      b.wake();
+    });
+    recordEdit(bodies, before, GIZMO_LABELS[gizmo.mode]);
+    placeGizmo();
+    updateObjectInfo();
+  }
+});
+
+gizmo.addEventListener('objectChange', () => {
+  if(!gizmoEdit) return;
+  pivot.updateMatrixWorld();
+  const turn = pivot.quaternion.clone().multiply(gizmoEdit.unturn);
+  const stretch = new Vec3(pivot.scale.x, pivot.scale.y, pivot.scale.z);
+  gizmoEdit.bodies.forEach((b, i) => {
+    const start = gizmoEdit.before[i];
+    const p = gizmoEdit.offsets[i].clone().applyMatrix4(pivot.matrixWorld);
+    const q = turn.clone().multiply(new THREE.Quaternion(...start.orientation.toArray()));
+    b.position = new Vec3(p.x, p.y, p.z);
+    b.orientation = new Quaternion(q.x, q.y, q.z, q.w);
+    b.velocity = Vec3.zero();
+    b.angularVelocity = Vec3.zero();
+    if(gizmo.mode === 'scale') {
+      const k = shapeScale(start.shape, stretch);
+      b.shape = scaleShape(start.shape, k);
+      b.mesh.scale.set(start.scale.x * k.x, start.scale.y * k.y, start.scale.z * k.z);
+    }
+    b.updateInertiaWorld();
+    b.savePreviousState();
+    syncMesh(b);
+  });
+});
+
 renderer.domElement.addEventListener('pointerdown', e => {
+  if (embed) return; // the embedded viewer only orbits
   mouse.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
-  
+  if (gizmo.dragging || gizmo.axis) return; // a gizmo handle was grabbed
+
   if (paintMode) {
     isPainting = true;
     controls.enabled = false;
-    const point = getMouseIntersection();
-    if (point) {
-      spawnBody(spawnShapeSelect.value, new Vec3(point.x, point.y + 1, point.z));
-      lastPaintPoint.copy(point);
-    }
+    history.begin('Paint'); // the whole stroke undoes at once
+    paintAt(getMouseIntersection());
+  } else if (cannonMode) {
+    fireCannon();
   } else {
     // Object Selection
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(scene.children, true);
-    if(selectedBody?.mesh) selectedBody.mesh.material.emissive?.setHex(0x000000);
-    selectedBody = null;
-
-    if(intersects.length) {
-      const mesh = intersects[0].object;
-      selectedBody = world.bodies.find(b => b.mesh === mesh);
-      if(selectedBody) {
-        selectedBody.mesh.material.emissive?.setHex(0x00ff40);
-        draggingBody = selectedBody; // Allow dragging selected object
-        controls.enabled = false;
-      }
+    const intersects = raycaster.intersectObjects(world.bodies.map(b => b.mesh), true);
+    const body = intersects.length ? bodyOfObject(intersects[0].object, world.bodies) : null;
+    if(!e.shiftKey) {
+      select(body ? [body] : []);
+    } else if(body) {
+      select(selection.includes(body) ? selection.filter(b => b !== body) : [...selection, body]);
+    } else {
+      boxStart = { x: e.clientX, y: e.clientY };
+      controls.enabled = false;
+      updateSelectionBox(e);
+      selectionBox.style.display = 'block';
     }
-    updateObjectInfo();
   }
 });
 
 renderer.domElement.addEventListener('pointermove', e => {
   mouse.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
-  
+
   if (paintMode && isPainting) {
     const point = getMouseIntersection();
-    if (point && point.distanceTo(lastPaintPoint) > 1.0) { // Only paint if mouse moved enough
-      spawnBody(spawnShapeSelect.value, new Vec3(point.x, point.y + 1, point.z));
-      lastPaintPoint.copy(point);
-    }
-  } else if (draggingBody) {
-    const point = getMouseIntersection();
-    if (point) {
-      draggingBody.position.x = point.x;
-      draggingBody.position.z = point.z; // Drag along the plane
-      draggingBody.velocity = Vec3.zero();
-    }
+    if (point && point.distanceTo(lastPaintPoint) > 1.0) paintAt(point); // Only paint if mouse moved enough
+  } else if (boxStart) {
+    updateSelectionBox(e);
   }
 });
 
 renderer.domElement.addEventListener('pointerup', e => {
+  if (isPainting) history.end();
+  if (boxStart) {
+    const boxed = bodiesInBox(boxStart, { x: e.clientX, y: e.clientY });
+    select([...selection, ...boxed.filter(b => !selection.includes(b))]);
+    selectionBox.style.display = 'none';
+    boxStart = null;
+  }
   isPainting = false;
-  draggingBody = null;
   if (!paintMode) {
     controls.enabled = true;
   }
 });
 
-function updateObjectInfo() {
-  const infoDiv = document.getElementById('object-info');
-  if(selectedBody) {
-    infoDiv.innerHTML = `
-      <b>Selected Object</b><br>
-      Type: ${Object.keys(SHAPE_TYPE).find(k=>SHAPE_TYPE[k]===selectedBody.shape.type)}<br>
-      Mass: ${selectedBody.mass.toFixed(2)}<br>
-      Pos: (${selectedBody.position.x.toFixed(2)}, ${selectedBody.position.y.toFixed(2)}, ${selectedBody.position.z.toFixed(2)})<br>
-      Velocity: ${selectedBody.velocity.length().toFixed(2)}<br>
-      Friction: ${selectedBody.friction}<br>
-      Restitution: ${selectedBody.restitution}<br>
-    `;
-  } else {
+function paintAt(point) {
+  if (!point) return;
+  const body = spawnBody(spawnShapeSelect.value, new Vec3(point.x, point.y + 1, point.z));
+  if (body) recordSpawn(body);
+  lastPaintPoint.copy(point);
+}
+
+// --- Inspector ---
+// Editable fields for the primary selected body. `get` returns the field's
+// numbers and `set` writes them back; each edit is one undo step.
+const infoDiv = document.getElementById('object-info');
+const toDegrees = THREE.MathUtils.radToDeg, toRadians = THREE.MathUtils.degToRad;
+
+// Size of the shape along its own axes
+function shapeSize(shape) {
+  const { min, max } = shapeAABB(shape, Vec3.zero(), Quaternion.identity());
+  return max.sub(min);
+}
+
+const INSPECTOR_FIELDS = [
+  { key: 'position', label: 'Position', get: b => b.position.toArray(), set: (b, v) => { b.position = Vec3.fromArray(v); } },
+  {
+    key: 'rotation', label: 'Rotation (°)', step: 5,
+    get: b => {
+      const e = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(...b.orientation.toArray()));
+      return [e.x, e.y, e.z].map(toDegrees);
+    },
+    set: (b, v) => {
+      const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(...v.map(toRadians)));
+      b.orientation = new Quaternion(q.x, q.y, q.z, q.w);
+    }
+  },
+  { key: 'velocity', label: 'Velocity', get: b => b.velocity.toArray(), set: (b, v) => { b.velocity = Vec3.fromArray(v); } },
+  { key: 'mass', label: 'Mass', min: 0.01, get: b => [b.mass], set: (b, [m]) => { b.mass = m; } },
+  {
+    key: 'size', label: 'Size', min: 0.01, get: b => shapeSize(b.shape).toArray(),
+    set: (b, v) => {
+      const old = shapeSize(b.shape);
+      const k = shapeScale(b.shape, new Vec3(v[0] / old.x, v[1] / old.y, v[2] / old.z));
+      b.shape = scaleShape(b.shape, k);
+      b.mesh.scale.multiply(new THREE.Vector3(k.x, k.y, k.z));
+    }
+  },
+  { key: 'friction', label: 'Friction', min: 0, step: 0.05, get: b => [b.friction], set: (b, [f]) => { b.friction = f; } },
+  { key: 'restitution', label: 'Restitution', min: 0, step: 0.05, get: b => [b.restitution], set: (b, [r]) => { b.restitution = r; } },
+  { key: 'staticFriction', label: 'Static Friction', min: 0, step: 0.05, get: b => [b.staticFriction ?? b.friction], set: (b, [f]) => { b.staticFriction = f; } },
+  { key: 'rollingFriction', label: 'Rolling Friction', min: 0, step: 0.01, get: b => [b.rollingFriction], set: (b, [f]) => { b.rollingFriction = f; } }
+];
+
+function editField(field, index, value) {
+  const b = primary();
+  if(!b || !Number.isFinite(value)) return;
+  const before = bodyState(b);
+  const values = field.get(b);
+  values[index] = field.min === undefined ? value : Math.max(field.min, value);
+  field.set(b, values);
+  refreshBody(b);
+  recordEdit([b], [before], `Edit ${field.key}`);
+  placeGizmo();
+  updateObjectInfo();
+}
+
+// Rebuilt when the selection changes; updateObjectInfo refreshes the values
+function buildInspector() {
+  const b = primary();
+  if(!b) {
     infoDiv.innerHTML = '';
+    return;
   }
+  const type = b.model ? `${b.model.asset} (${b.model.collider})` : Object.keys(SHAPE_TYPE).find(k=>SHAPE_TYPE[k]===b.shape.type);
+  infoDiv.innerHTML = `
+    <b>Selected Object</b>${selection.length > 1 ? ` (+${selection.length - 1} more)` : ''}<br>
+    Type: ${type}<br>
+    ${INSPECTOR_FIELDS.map(f => `<div class="field"><span>${f.label}</span>${
+      f.get(b).map((_, i) => `<input type="number" step="${f.step ?? 0.1}" data-field="${f.key}" data-index="${i}">`).join('')
+    }</div>`).join('')}
+  `;
+  for(const input of infoDiv.querySelectorAll('input')) {
+    const field = INSPECTOR_FIELDS.find(f => f.key === input.dataset.field);
+    input.addEventListener('change', () => editField(field, Number(input.dataset.index), Number(input.value)));
+  }
+  updateObjectInfo();
+}
+
+// Values of the field being typed into are left alone
+function updateObjectInfo() {
+  const b = primary();
+  if(!b) return;
+  for(const input of infoDiv.querySelectorAll('input')) {
+    if(input === document.activeElement) continue;
+    const field = INSPECTOR_FIELDS.find(f => f.key === input.dataset.field);
+    input.value = Number(field.get(b)[input.dataset.index].toFixed(3));
+  }
+}
+
+// Copy engine state onto the three.js mesh
+// With `alpha`, draw the body that far between its last two fixed steps
+function syncMesh(b, alpha) {
+  const { position, orientation } = alpha === undefined ? b : b.interpolatedState(alpha);
+  b.mesh.position.set(position.x, position.y, position.z);
+  b.mesh.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w);
 }
 
+// --- Physics Worker ---
+// While it's on, the world steps in a worker that `world` follows (see
+// physicsWorker.js); sidebar edits it can't notice by itself resend the world
+let physicsWorker = null;
+document.getElementById('worker-btn').addEventListener('click', () => {
+  if(physicsWorker) {
+    physicsWorker.stop();
+    physicsWorker = null;
+  } else {
+    physicsWorker = new PhysicsWorker(world);
+  }
+  document.getElementById('worker-btn').classList.toggle('active', !!physicsWorker);
+});
+const sidebar = document.getElementById('sidebar');
+sidebar.addEventListener('change', () => physicsWorker?.sync());
+sidebar.addEventListener('click', e => {
+  if(e.target.closest('button') && e.target.id !== 'worker-btn') physicsWorker?.sync();
+});
+
 // --- Simulation Loop & Stats ---
 let lastTime = performance.now(), frameCount = 0, lastStatsTime = performance.now();
 function animate() {
   requestAnimationFrame(animate);
-  if(paused) { renderer.render(scene, camera); return; }
+  if(paused) {
+    physicsWorker?.update({ timeScale, paused });
+    renderer.render(scene, camera);
+    return;
+  }
   let now = performance.now();
   let dt = Math.min(0.05, (now-lastTime)/1000) * timeScale; // Capped dt for stability
   lastTime = now;
-  world.update(dt);
+  const alpha = physicsWorker ? physicsWorker.update({ timeScale, paused }) : world.advance(dt);
+  world.bodies.forEach(b => syncMesh(b, alpha));
   controls.update();
   renderer.render(scene, camera);
   frameCount++;
   if(now-lastStatsTime > 1000) {
     document.getElementById('stats').textContent =
-      `FPS: ${frameCount} | Bodies: ${world.bodies.length} | Collisions: ${world.collisionCount} | Gravity: ${world.gravity.y} | TimeScale: ${timeScale.toFixed(2)}`;
+      `FPS: ${frameCount} | Bodies: ${world.bodies.length} | Pairs: ${world.pairCount} | Sleeping: ${world.bodies.filter(b => b.sleeping).length} | Collisions: ${world.collisionCount} | Gravity: ${world.gravity.y} | TimeScale: ${timeScale.toFixed(2)}`;
     frameCount = 0;
     lastStatsTime = now;
   }
-  if(selectedBody) updateObjectInfo(); // Live update info for selected body
+  if(selection.length) {
+    if(!gizmoEdit) placeGizmo(); // keep the gizmo on bodies as they move
+    updateObjectInfo(); // Live update info for selected body
+  }
 }
 
 // --- UI Sidebar/Overlay ---
@@ -575,6 +943,26 @@ document.getElementById('start-button').onclick = () => {
 };
 document.getElementById('toggle-sidebar').onclick = () => document.body.classList.toggle('sidebar-visible');
 
+// Embed mode skips the start screen and shows only an optional play/pause
+// button (?embed&controls=0 drops it); a scene in the hash loads either way
+const embed = embedOptions();
+const embedPlay = document.getElementById('embed-play');
+const showPlayState = () => embedPlay.textContent = paused ? 'Play' : 'Pause';
+embedPlay.onclick = () => {
+  document.getElementById(paused ? 'resume-btn' : 'pause-btn').click();
+  showPlayState();
+};
+if(embed) {
+  document.body.classList.add('embed');
+  if(embed.controls) embedPlay.style.display = 'block';
+  loadSceneFromHash().then(() => {
+    showPlayState();
+    animate();
+  });
+} else {
+  loadSceneFromHash();
+}
+
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { SHAPE_TYPE } from '../engine/index.js';
+
+// --- Shape meshes ---
+// three.js render objects for any engine shape, used for bodies rebuilt from
+// a scene file. Compound shapes become a group with one child per part, all
+// sharing `material`.
+
+// Flat-shaded geometry for a convex hull, fanning each face polygon into triangles
+function hullGeometry(shape) {
+  const positions = [];
+  for (const face of shape.faces) {
+    for (let i = 1; i < face.length - 1; i++) {
+      for (const index of [face[0], face[i], face[i + 1]]) {
+        const v = shape.vertices[index];
+        positions.push(v.x, v.y, v.z);
+      }
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// One vertex per grid point, indexed into the shape's own cell triangles
+function heightfieldGeometry(shape) {
+  const positions = [], indices = [];
+  for (let row = 0; row < shape.rows; row++) {
+    for (let col = 0; col < shape.cols; col++) {
+      const v = shape.vertex(row, col);
+      positions.push(v.x, v.y, v.z);
+    }
+  }
+  for (let row = 0; row < shape.rows - 1; row++) {
+    for (let col = 0; col < shape.cols - 1; col++) {
+      const i = row * shape.cols + col;
+      indices.push(i, i + shape.cols, i + shape.cols + 1, i, i + shape.cols + 1, i + 1);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Copy a heightfield's edited heights into its mesh (as made by shapeMesh)
+export function updateHeightfieldMesh(object, shape) {
+  const position = object.geometry.getAttribute('position');
+  shape.heights.forEach((h, i) => position.setY(i, h));
+  position.needsUpdate = true;
+  object.geometry.computeVertexNormals();
+  object.geometry.computeBoundingSphere();
+}
+
+export function shapeMesh(shape, material) {
+  let object;
+  if (shape.type === SHAPE_TYPE.SPHERE) {
+    object = new THREE.Mesh(new THREE.SphereGeometry(shape.radius, 48, 32), material);
+  } else if (shape.type === SHAPE_TYPE.BOX) {
+    const { x, y, z } = shape.halfExtents.mul(2);
+    object = new THREE.Mesh(new THREE.BoxGeometry(x, y, z), material);
+  } else if (shape.type === SHAPE_TYPE.CYLINDER) {
+    object = new THREE.Mesh(new THREE.CylinderGeometry(shape.radius, shape.radius, shape.height, 48), material);
+  } else if (shape.type === SHAPE_TYPE.HULL) {
+    object = new THREE.Mesh(hullGeometry(shape), material);
+  } else if (shape.type === SHAPE_TYPE.HEIGHTFIELD) {
+    object = new THREE.Mesh(heightfieldGeometry(shape), material);
+  } else {
+    object = new THREE.Group();
+    for (const { shape: part, offset } of shape.shapes) {
+      const child = shapeMesh(part, material);
+      child.position.set(offset.x, offset.y, offset.z);
+      object.add(child);
+    }
+  }
+  object.traverse(obj => {
+    obj.castShadow = true;
+    obj.receiveShadow = true;
+  });
+  return object;
+}
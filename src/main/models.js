@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { Vec3, RigidBody, generateCollider, shapeVolume } from '../engine/index.js';
+import { shapeMesh } from './meshes.js';
+
+// --- Imported models ---
+// Turns loaded glTF scenes into rigid bodies: vertices go to the engine's
+// collider generator, and the body's render object is a copy of the model
+// shifted so the collider's centre of mass sits at its origin.
+//
+// A loaded model is { name, scene }. Bodies made from one carry
+// `body.model = { asset, collider, density, scale, center }`, which is what
+// a saved scene stores next to the collider shape, plus `stretch`: the
+// render object's scale once the body has been resized.
+
+// Imported models are scaled so their longest side is this many units
+export const MODEL_SIZE = 2;
+
+// Vertex positions of every mesh under `root`, in root's own space times
+// `scale`, one array per mesh
+function modelParts(root, scale) {
+  root.updateMatrixWorld(true);
+  const toRoot = root.matrixWorld.clone().invert();
+  const parts = [];
+  root.traverse(obj => {
+    if (!obj.isMesh) return;
+    const matrix = toRoot.clone().multiply(obj.matrixWorld);
+    const position = obj.geometry.attributes.position;
+    const v = new THREE.Vector3();
+    const points = [];
+    for (let i = 0; i < position.count; i++) {
+      v.fromBufferAttribute(position, i).applyMatrix4(matrix).multiplyScalar(scale);
+      points.push(new Vec3(v.x, v.y, v.z));
+    }
+    parts.push(points);
+  });
+  return parts;
+}
+
+function fitScale(root) {
+  const size = new THREE.Box3().setFromObject(root).getSize(new THREE.Vector3());
+  const longest = Math.max(size.x, size.y, size.z);
+  return longest > 0 ? MODEL_SIZE / longest : 1;
+}
+
+// Copy of the model whose origin is the model-space point `center`. Materials
+// are cloned so highlighting one copy doesn't light up the others.
+function modelMesh(root, scale, center) {
+  const copy = root.clone(true);
+  copy.traverse(obj => {
+    if (!obj.isMesh) return;
+    obj.material = Array.isArray(obj.material) ? obj.material.map(m => m.clone()) : obj.material.clone();
+    obj.castShadow = true;
+    obj.receiveShadow = true;
+  });
+  copy.position.set(-center.x, -center.y, -center.z);
+  copy.quaternion.identity();
+  copy.scale.setScalar(scale);
+  const group = new THREE.Group();
+  group.add(copy);
+  return group;
+}
+
+// Collider generation walks every vertex, so each model keeps the result per collider type
+function modelCollider(model, type) {
+  model.colliders ??= {};
+  if (!model.colliders[type]) {
+    const scale = fitScale(model.scene);
+    const { shape, center } = generateCollider(modelParts(model.scene, scale), { type });
+    model.colliders[type] = { shape, center, scale };
+  }
+  return model.colliders[type];
+}
+
+// New body for a loaded model with a generated collider ('box', 'hull' or
+// 'compound'), weighing its collider's volume times `density`
+export function createModelBody(model, position, { collider = 'hull', density = 1 } = {}) {
+  const { shape, center, scale } = modelCollider(model, collider);
+  const body = new RigidBody(position, shape, shapeVolume(shape) * density);
+  body.mesh = modelMesh(model.scene, scale, center);
+  body.model = { asset: model.name, collider, density, scale, center: center.toArray() };
+  return body;
+}
+
+// Render object for a body rebuilt from a scene file with `body.model` set:
+// the model if that asset has been loaded this session, otherwise a
+// wireframe of its collider
+export function restoreModelMesh(body, models) {
+  const model = models.find(m => m.name === body.model.asset);
+  if (model) {
+    const mesh = modelMesh(model.scene, body.model.scale, Vec3.fromArray(body.model.center));
+    if (body.model.stretch) mesh.scale.fromArray(body.model.stretch);
+    return mesh;
+  }
+  return shapeMesh(body.shape, new THREE.MeshStandardMaterial({ color: 0x888888, wireframe: true }));
+}
+
+// The body whose render object contains `object` (models are nested groups)
+export function bodyOfObject(object, bodies) {
+  for (let o = object; o; o = o.parent) {
+    const body = bodies.find(b => b.mesh === o);
+    if (body) return body;
+  }
+  return null;
+}
+
+// Emissive highlight on every material of a body's render object
+export function setEmissive(object, hex) {
+  object.traverse(obj => {
+    if (!obj.material) return;
+    for (const m of Array.isArray(obj.material) ? obj.material : [obj.material]) m.emissive?.setHex(hex);
+  });
+}
@@ -0,0 +1,164 @@
+import {
+  Vec3, serializeScene, bodyRecord, bodyFromRecord, STATE_STRIDE, writeState, readState, readContacts
+} from '../engine/index.js';
+
+// --- Physics worker ---
+// Runs the page's world in a Web Worker (src/engine/worker.js) while the page
+// keeps using the same `world` for everything else: it just stops stepping it
+// and calls `update` once a frame instead of `world.advance`. Incoming states
+// are copied onto the world's bodies as they arrive (through savePreviousState,
+// so `body.interpolatedState(alpha)` works as before), emitter spawns and
+// collision events are replayed on the world, its contacts, broadphase pairs
+// and counters are copied over for stats and debug views, and 'step' fires
+// once per state.
+//
+// `update` also sends what the page changed since the last frame: bodies
+// added or removed, bodies moved, pushed or woken, gravity, and joints,
+// fields or emitters coming or going (which reload the whole world into the
+// worker). Anything else edited in place, such as materials, field settings
+// or a body's friction, needs a `sync()`.
+
+// Everything whose coming or going needs a full reload
+const structureOf = world => [...world.joints, ...world.fields, ...world.emitters];
+const sameItems = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+function snapshot(body) {
+  const state = new Float64Array(STATE_STRIDE);
+  writeState(body, state);
+  return state;
+}
+
+const scratch = new Float64Array(STATE_STRIDE);
+function unchanged(body, last) {
+  writeState(body, scratch);
+  return scratch.every((x, i) => x === last[i]);
+}
+
+export class PhysicsWorker {
+  constructor(world, url = new URL('../engine/worker.js', import.meta.url)) {
+    this.world = world;
+    this.worker = new Worker(url, { type: 'module' });
+    this.worker.onmessage = ({ data }) => this.receive(data);
+    this.generation = 0;
+    this.clock = null;
+    // Arrival times of the last two states, for interpolating between them
+    this.stateTimes = [0, 0];
+    this.sync();
+  }
+
+  // Reload the worker with the world as it stands
+  sync() {
+    const world = this.world;
+    this.worker.postMessage({
+      type: 'load', generation: ++this.generation, scene: serializeScene(world),
+      ids: world.bodies.map(b => b.id), sleeping: world.bodies.map(b => b.sleeping)
+    });
+    // Each body's state as last sent or received
+    this.known = new Map(world.bodies.map(b => [b, snapshot(b)]));
+    this.structure = structureOf(world);
+    this.gravity = world.gravity.toArray();
+  }
+
+  // Send this frame's edits; returns how far (0..1) to draw bodies between
+  // their last two states
+  update({ timeScale = 1, paused = false } = {}) {
+    const world = this.world;
+    if (this.clock?.timeScale !== timeScale || this.clock?.paused !== paused) {
+      this.clock = { timeScale, paused };
+      this.worker.postMessage({ type: 'clock', timeScale, paused });
+    }
+    if (!sameItems(structureOf(world), this.structure)) {
+      this.sync();
+    } else {
+      const alive = new Set(world.bodies);
+      for (const [body] of this.known) {
+        if (alive.has(body)) continue;
+        this.known.delete(body);
+        this.worker.postMessage({ type: 'remove', id: body.id });
+      }
+      for (const body of world.bodies) {
+        const last = this.known.get(body);
+        if (last && unchanged(body, last)) continue;
+        const state = snapshot(body);
+        if (last) this.worker.postMessage({ type: 'set', id: body.id, state });
+        else this.worker.postMessage({ type: 'add', id: body.id, record: bodyRecord(body) });
+        this.known.set(body, state);
+      }
+      const gravity = world.gravity.toArray();
+      if (gravity.some((g, i) => g !== this.gravity[i])) {
+        this.gravity = gravity;
+        this.worker.postMessage({ type: 'gravity', gravity });
+      }
+    }
+    const [before, last] = this.stateTimes;
+    return last > before ? Math.min(1, (performance.now() - last) / (last - before)) : 1;
+  }
+
+  receive(data) {
+    if (data.type !== 'state') return;
+    if (data.generation === this.generation) this.apply(data);
+    this.worker.postMessage({ type: 'buffer', buffer: data.buffer }, [data.buffer.buffer]);
+  }
+
+  apply({ buffer, count, time, stepCount, spawned, despawned, events, contacts, pairs, stats }) {
+    const world = this.world;
+    for (const { id, emitter: index, record } of spawned) {
+      const emitter = world.emitters[index];
+      if (!emitter) continue;
+      const body = bodyFromRecord(record);
+      body.id = id;
+      // Not addBody: the id is the worker's, and the page's numbering stays clear of it
+      world.bodies.push(body);
+      emitter.emitted.push({ body, age: 0 });
+      this.known.set(body, snapshot(body));
+      world.emit('spawn', { body, emitter });
+    }
+    const byId = new Map([...this.known.keys()].map(b => [b.id, b]));
+    for (const id of despawned) {
+      const body = byId.get(id);
+      if (!body) continue;
+      const emitter = world.emitters.find(e => e.emitted.some(x => x.body === body));
+      if (emitter) emitter.emitted = emitter.emitted.filter(x => x.body !== body);
+      world.removeBody(body);
+      this.known.delete(body);
+      world.emit('despawn', { body, emitter });
+    }
+    for (let i = 0; i < count; i++) {
+      const offset = i * STATE_STRIDE;
+      const body = byId.get(buffer[offset]);
+      // A body the page moved since is sent on the next update instead
+      if (!body || !this.known.has(body) || !unchanged(body, this.known.get(body))) continue;
+      body.savePreviousState();
+      readState(body, buffer, offset);
+      this.known.set(body, buffer.slice(offset, offset + STATE_STRIDE));
+    }
+    world.time = time;
+    world.stepCount = stepCount;
+    world.contacts = readContacts(contacts, byId);
+    world.broadphase.pairs = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      const a = byId.get(pairs[i]), b = byId.get(pairs[i + 1]);
+      if (a && b) world.broadphase.pairs.push([a, b]);
+    }
+    world.broadphase.axis = stats.axis;
+    world.pairCount = stats.pairCount;
+    world.collisionCount = stats.collisionCount;
+    world.solver.residual = stats.residual;
+    for (const e of events) {
+      const a = byId.get(e.a), b = e.b === null ? null : byId.get(e.b);
+      if (!a || b === undefined) continue;
+      world.emit(e.name, {
+        ...e, a, b,
+        point: e.point && Vec3.fromArray(e.point),
+        normal: e.normal && Vec3.fromArray(e.normal)
+      });
+    }
+    this.stateTimes = [this.stateTimes[1], performance.now()];
+    world.emit('step', world);
+  }
+
+  // The world carries on from the last state the worker sent
+  stop() {
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import { Vec3, createBody, createJoint } from '../engine/index.js';
+import { shapeMesh } from './meshes.js';
+
+// --- Scripting API ---
+// The `sandbox` object scripts drive the live world through. The page owns
+// the scene, so it passes in how a body's render object is added, how a body
+// (or everything) is removed again, and `changed()` to refresh its controls
+// after a script changes a world setting:
+//
+//   sandbox.spawn({ shape: 'sphere', radius: 0.5, position: [0, 5, 0], velocity: [2, 0, 0] })
+//   sandbox.onCollision((a, b) => sandbox.log('hit', a.id, b?.id ?? 'ground'));
+//   await sandbox.wait(2);
+//
+// Vectors may be [x, y, z] arrays or anything with x/y/z. Everything a script
+// subscribes to ends when the next script runs or `stop()` is called; a
+// script waiting at that point simply never resumes.
+
+const toVec3 = v => Array.isArray(v) ? Vec3.fromArray(v) : new Vec3(v.x, v.y, v.z);
+
+// Shorthand shape names, e.g. { shape: 'box', size: [2, 0.2, 1] }
+function shapeOf(desc) {
+  const shape = desc.shape ?? 'sphere';
+  if (typeof shape !== 'string') return shape;
+  if (shape === 'sphere') return { type: 'sphere', radius: desc.radius ?? 0.5 };
+  if (shape === 'cylinder') return { type: 'cylinder', radius: desc.radius ?? 0.5, height: desc.height ?? 1 };
+  if (shape === 'box') {
+    const size = desc.size ?? 1;
+    return Array.isArray(size) ? { type: 'box', halfExtents: size.map(s => s / 2) } : { type: 'box', size };
+  }
+  throw new Error(`Unknown shape: ${shape}`);
+}
+
+export function createSandbox({ world, addMesh, removeBody, clear, changed = () => {}, log = console.log }) {
+  let subscriptions = [];
+
+  const sandbox = {
+    world,
+
+    // { shape, radius/size/height, position, velocity, angularVelocity, mass,
+    // material, friction, restitution, collisionGroup, collisionMask, trigger,
+    // ccd, color, static, kinematic, motion: { offset, period } }; returns the new
+    // RigidBody. `material` names one in `world.materials` and sets the colour too.
+    spawn(desc = {}) {
+      const body = createBody({ ...desc, shape: shapeOf(desc), position: desc.position ?? [0, 5, 0] }, world.materials);
+      const color = desc.color ?? world.materials.get(desc.material)?.color ?? 0x00bfff;
+      body.mesh = shapeMesh(body.shape, new THREE.MeshStandardMaterial({ color, roughness: 0.4, metalness: 0.5 }));
+      body.mesh.position.set(body.position.x, body.position.y, body.position.z);
+      body.mesh.quaternion.set(body.orientation.x, body.orientation.y, body.orientation.z, body.orientation.w);
+      body.originalColor = color;
+      addMesh(body);
+      world.addBody(body);
+      return body;
+    },
+
+    remove(body) {
+      removeBody(body);
+    },
+
+    // Every body and joint goes, and the world clock starts again
+    clear() {
+      clear();
+    },
+
+    // Joint description as for createJoint, e.g. { type: 'distance', a: bob, b: null, anchorB: [0, 5, 0] }
+    joint(desc) {
+      return world.addJoint(createJoint(desc));
+    },
+
+    applyImpulse(body, impulse, point) {
+      body.applyImpulse(toVec3(impulse), point ? toVec3(point) : body.position);
+    },
+
+    // A vector, or a number for straight down (negative) or up
+    setGravity(gravity) {
+      world.setGravity(typeof gravity === 'number' ? [0, gravity, 0] : toVec3(gravity));
+      changed();
+    },
+
+    // fn(world.time, world) after every fixed step; returns an unsubscribe function
+    onStep(fn) {
+      return subscribe(world.on('step', () => fn(world.time, world)));
+    },
+
+    // fn(a, b, event) when two bodies start touching, or one enters a
+    // trigger; b is null for the ground and walls and `event` is the world's
+    // 'collisionBegin' event. Returns an unsubscribe function.
+    onCollision(fn) {
+      return subscribe(world.on('collisionBegin', e => fn(e.a, e.b, e)));
+    },
+
+    // Resolves once `seconds` of simulated time have passed (never while paused)
+    wait(seconds = 0) {
+      return new Promise(resolve => {
+        const until = world.time + seconds;
+        const unsubscribe = subscribe(world.on('step', () => {
+          if (world.time < until - 1e-9) return;
+          unsubscribe();
+          resolve(world.time);
+        }));
+      });
+    },
+
+    log(...args) {
+      log(...args);
+    },
+
+    // End the running script's subscriptions and waits
+    stop() {
+      subscriptions.forEach(unsubscribe => unsubscribe());
+      subscriptions = [];
+    },
+
+    // Run `source` as the body of an async function with `sandbox`, `world`
+    // and `log` in scope. Errors are logged rather than thrown.
+    run(source) {
+      sandbox.stop();
+      let script;
+      try {
+        script = new Function('sandbox', 'world', 'log', `return (async () => {\n${source}\n})();`);
+      } catch (e) {
+        log(`Syntax error: ${e.message}`);
+        return Promise.resolve();
+      }
+      return Promise.resolve()
+        .then(() => script(sandbox, world, sandbox.log))
+        .catch(e => log(`Error: ${e.message}`));
+    }
+  };
+
+  function subscribe(unsubscribe) {
+    subscriptions.push(unsubscribe);
+    return () => {
+      unsubscribe();
+      subscriptions = subscriptions.filter(u => u !== unsubscribe);
+    };
+  }
+
+  return sandbox;
+}
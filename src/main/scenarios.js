@@ -0,0 +1,87 @@
+// --- Example scenarios ---
+// Scripts for the script editor, run against the `sandbox` API (see sandbox.js).
+// Each starts from an empty world so it can be rerun at any time.
+export const SCENARIOS = [
+  {
+    name: "Newton's Cradle",
+    code: `// Five steel balls on strings; the first is pulled aside and let go
+sandbox.clear();
+sandbox.setGravity(-10);
+const R = 0.5, L = 5, TOP = 8, PULL = 40 * Math.PI / 180;
+for (let i = 0; i < 5; i++) {
+  const x = (i - 2) * (2 * R + 0.05);
+  const anchor = [x, TOP, 0];
+  const angle = i === 0 ? PULL : 0;
+  const ball = sandbox.spawn({
+    shape: 'sphere', radius: R, mass: 1, friction: 0, restitution: 1, color: 0xc0c0c0,
+    position: [x - L * Math.sin(angle), TOP - L * Math.cos(angle), 0]
+  });
+  ball.linearDamping = 0;
+  ball.angularDamping = 0;
+  sandbox.joint({ type: 'distance', a: ball, b: null, anchorB: anchor, length: L });
+}
+let hits = 0;
+sandbox.onCollision((a, b) => { if (b) hits++; });
+await sandbox.wait(5);
+log(\`\${hits} ball-to-ball hits in 5 s\`);
+`
+  },
+  {
+    name: 'Domino Run',
+    code: `// A curving line of dominoes, toppled by a push on the first
+sandbox.clear();
+sandbox.setGravity(-15);
+const COUNT = 30, H = 1.6;
+const dominoes = [];
+for (let i = 0; i < COUNT; i++) {
+  const t = i / (COUNT - 1);
+  const angle = t * Math.PI;
+  const x = -8 + 16 * t, z = 4 * Math.sin(angle);
+  // Face along the curve: turn about y to the path's heading
+  const heading = Math.atan2(4 * Math.PI * Math.cos(angle) / 16, 1);
+  dominoes.push(sandbox.spawn({
+    shape: 'box', size: [0.2, H, 0.8], mass: 1, friction: 0.5, restitution: 0.1,
+    position: [x, H / 2, z], orientation: [0, Math.sin(-heading / 2), 0, Math.cos(-heading / 2)],
+    color: i % 2 ? 0xfeca57 : 0xff6b6b
+  }));
+}
+await sandbox.wait(0.5);
+const first = dominoes[0];
+sandbox.applyImpulse(first, [1.2, 0, 0], [first.position.x, H * 0.9, first.position.z]);
+const started = world.time;
+await sandbox.wait(6);
+const fallen = dominoes.filter(d => d.position.y < H / 2 - 0.2).length;
+log(\`\${fallen} of \${COUNT} dominoes down after \${(world.time - started).toFixed(1)} s\`);
+`
+  },
+  {
+    name: 'Projectile Range',
+    code: `// Same launch speed at five angles; landing points against v² sin 2θ / g
+sandbox.clear();
+const G = 10, SPEED = 12, R = 0.2;
+sandbox.setGravity(-G);
+const launched = new Map();
+[15, 30, 45, 60, 75].forEach((deg, i) => {
+  const theta = deg * Math.PI / 180;
+  const ball = sandbox.spawn({
+    shape: 'sphere', radius: R, mass: 1, restitution: 0, friction: 0.8,
+    position: [-20, R + 0.05, (i - 2) * 1.5],
+    velocity: [SPEED * Math.cos(theta), SPEED * Math.sin(theta), 0],
+    color: [0xff6b6b, 0xfeca57, 0x4ecdc4, 0x54a0ff, 0xa55eea][i]
+  });
+  ball.linearDamping = 0;
+  launched.set(ball, deg);
+});
+sandbox.onCollision((a, b) => {
+  if (b !== null || !launched.has(a)) return;
+  const deg = launched.get(a);
+  launched.delete(a);
+  const range = a.position.x + 20;
+  const expected = SPEED * SPEED * Math.sin(2 * deg * Math.PI / 180) / G;
+  log(\`\${deg}°: landed at \${range.toFixed(2)} m (theory \${expected.toFixed(2)} m)\`);
+});
+await sandbox.wait(4);
+if (launched.size) log(\`\${launched.size} still in the air\`);
+`
+  }
+];
@@ -0,0 +1,126 @@
+import { readScene } from '../engine/index.js';
+
+// --- Scene storage ---
+// Save slots are scene files kept in localStorage under `approx-scene:<name>`;
+// exports are the same JSON downloaded as a file, and share links carry it in
+// the URL hash, deflated and base64url-encoded: `approx.html#scene=<data>`.
+
+const SLOT_PREFIX = 'approx-scene:';
+
+export function listSlots() {
+  const names = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(SLOT_PREFIX)) names.push(key.slice(SLOT_PREFIX.length));
+  }
+  return names.sort();
+}
+
+// Throws when the browser's storage quota is full
+export function saveSlot(name, scene) {
+  localStorage.setItem(SLOT_PREFIX + name, JSON.stringify(scene));
+}
+
+// The slot's scene, migrated and validated, or null if there is no such slot
+export function loadSlot(name) {
+  const text = localStorage.getItem(SLOT_PREFIX + name);
+  return text === null ? null : readScene(text);
+}
+
+export function deleteSlot(name) {
+  localStorage.removeItem(SLOT_PREFIX + name);
+}
+
+// The material library (see engine/materials.js) outlives scenes, so it has a key of its own
+const MATERIALS_KEY = 'approx-materials';
+
+export function saveMaterials(library) {
+  localStorage.setItem(MATERIALS_KEY, JSON.stringify(library));
+}
+
+// The saved library's toJSON, or null if there is none (or it can't be read)
+export function loadMaterials() {
+  try {
+    return JSON.parse(localStorage.getItem(MATERIALS_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function downloadText(text, filename, type = 'text/plain') {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = filename;
+  a.click();
+}
+
+export function downloadScene(scene, filename) {
+  downloadText(JSON.stringify(scene, null, 2), filename, 'application/json');
+}
+
+// --- Share links ---
+
+const SHARE_KEY = 'scene=';
+// Most a link may inflate to: a few KB of deflated zeros would otherwise
+// fill memory before the scene is even parsed
+const MAX_SCENE_BYTES = 2 * 1024 * 1024;
+
+// Bytes through a CompressionStream or DecompressionStream; throws once the
+// output passes `limit` bytes
+async function pipeBytes(bytes, stream, limit = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+  const chunks = [];
+  let length = 0;
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    const value = chunk.value;
+    length += value.length;
+    if (length > limit) {
+      await reader.cancel();
+      throw new Error(`Output passed ${limit} bytes`);
+    }
+    chunks.push(value);
+  }
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+// The scene as a compact, URL-safe string
+export async function encodeScene(scene) {
+  const bytes = await pipeBytes(new TextEncoder().encode(JSON.stringify(scene)), new CompressionStream('deflate'));
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// encodeScene's output back to a scene, migrated and validated; throws on a
+// damaged or truncated string, or one that inflates past MAX_SCENE_BYTES
+export async function decodeScene(text) {
+  let bytes;
+  try {
+    bytes = Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+    bytes = await pipeBytes(bytes, new DecompressionStream('deflate'), MAX_SCENE_BYTES);
+  } catch {
+    throw new Error('The scene in this link is damaged or incomplete');
+  }
+  return readScene(new TextDecoder().decode(bytes));
+}
+
+// The scene in a URL hash, or null if it has none
+export function sceneFromHash(hash = location.hash) {
+  const text = hash.replace(/^#/, '');
+  return text.startsWith(SHARE_KEY) ? decodeScene(text.slice(SHARE_KEY.length)) : Promise.resolve(null);
+}
+
+// This page's URL with `scene` in the hash; `embed` opens it as a bare viewer
+export async function shareLink(scene, { embed = false } = {}) {
+  const url = new URL(location.href);
+  url.search = embed ? '?embed' : '';
+  url.hash = SHARE_KEY + await encodeScene(scene);
+  return url.href;
+}
+
+// Embed settings from the query string: null for the full page, otherwise
+// { controls } (`?embed&controls=0` leaves out the play/pause button)
+export function embedOptions(search = location.search) {
+  const params = new URLSearchParams(search);
+  return params.has('embed') ? { controls: params.get('controls') !== '0' } : null;
+}
@@ -0,0 +1,35 @@
+import { mixedPile } from './scenes.mjs';
+
+// --- Step-time benchmark ---
+// Drops a mixed pile of each size and times every fixed step while it falls
+// and settles:
+//
+//   node tests/bench.mjs                 100, 1,000 and 5,000 bodies, 120 steps each
+//   node tests/bench.mjs 500 2000 --steps 60
+
+const args = process.argv.slice(2);
+const stepsAt = args.indexOf('--steps');
+const steps = stepsAt >= 0 ? Number(args.splice(stepsAt, 2)[1]) : 120;
+const sizes = args.length ? args.map(Number) : [100, 1000, 5000];
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+const COLUMNS = [['bodies', 6], ['mean ms', 8], ['median ms', 10], ['p95 ms', 7], ['max ms', 7], ['pairs', 6], ['contacts', 9], ['sleeping', 9]];
+const row = values => values.map((v, i) => String(v).padStart(COLUMNS[i][1])).join(' ');
+
+console.log(row(COLUMNS.map(([name]) => name)));
+for (const count of sizes) {
+  const world = mixedPile(count);
+  const times = [];
+  for (let i = 0; i < steps; i++) {
+    const start = performance.now();
+    world.advance(world.fixedDt);
+    times.push(performance.now() - start);
+  }
+  const sorted = [...times].sort((a, b) => a - b);
+  const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+  console.log(row([
+    count, mean.toFixed(2), percentile(sorted, 0.5).toFixed(2), percentile(sorted, 0.95).toFixed(2),
+    sorted[sorted.length - 1].toFixed(2), world.pairCount, world.contacts.length,
+    world.bodies.filter(b => b.sleeping).length
+  ]));
+}
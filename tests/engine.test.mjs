@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Vec3, Quaternion, createShape, measureWorld, serializeScene, readScene, loadScene, createWorld, worldSettings, restoreWorldSettings,
+  MaterialLibrary
+} from '../src/engine/index.js';
+import { collide } from '../src/engine/narrowphase.js';
+import { stack, restingCylinders, bouncingBalls, mixedPile, projectile } from './scenes.mjs';
+
+// --- Engine regression tests ---
+// Headless checks of physical invariants on the canonical scenes, plus the
+// narrowphase on its own. Run with `npm test`.
+
+// Deepest overlap allowed while bodies are still landing, and once settled
+const IMPACT_PENETRATION = 0.25;
+const RESTING_PENETRATION = 0.05;
+
+// Step `seconds` of fixed steps, calling `each(world, i)` after every one
+function run(world, seconds, each = () => {}) {
+  const steps = Math.round(seconds / world.fixedDt);
+  for (let i = 0; i < steps; i++) {
+    world.advance(world.fixedDt);
+    each(world, i);
+  }
+  return world;
+}
+
+const collider = (desc, position, orientation = Quaternion.identity()) =>
+  ({ shape: createShape(desc), position: Vec3.fromArray(position), orientation });
+
+function poses(world) {
+  return world.bodies.map(b => [...b.position.toArray(), ...b.orientation.toArray()]);
+}
+
+// --- Narrowphase ---
+
+test('sphere resting on a box touches at its lowest point', () => {
+  const contacts = collide(collider({ type: 'sphere', radius: 0.5 }, [0.2, 0.95, 0]), collider({ type: 'box', size: 1 }, [0, 0, 0]));
+  assert.equal(contacts.length, 1);
+  assert.ok(Math.abs(contacts[0].depth - 0.05) < 1e-9);
+  assert.ok(contacts[0].normal.sub(new Vec3(0, 1, 0)).length() < 1e-9);
+});
+
+test('separated shapes only report contacts within the margin', () => {
+  const a = collider({ type: 'box', size: 1 }, [0, 1.01, 0]), b = collider({ type: 'box', size: 1 }, [0, 0, 0]);
+  assert.equal(collide(a, b).length, 0);
+  const speculative = collide(a, b, 0.02);
+  assert.ok(speculative.length > 0);
+  assert.ok(speculative.every(c => c.depth < 0 && c.depth > -0.02));
+});
+
+test('a box resting flat on a box gets a full face of contacts', () => {
+  const contacts = collide(collider({ type: 'box', size: 1 }, [0.3, 0.99, 0]), collider({ type: 'box', size: 2 }, [0, -0.5, 0]));
+  assert.equal(contacts.length, 4);
+  for (const c of contacts) assert.ok(Math.abs(c.depth - 0.01) < 1e-6);
+});
+
+test('sphere against a cylinder side and cap', () => {
+  const cylinder = collider({ type: 'cylinder', radius: 0.5, height: 2 }, [0, 0, 0]);
+  const side = collide(collider({ type: 'sphere', radius: 0.5 }, [0.9, 0, 0]), cylinder);
+  assert.equal(side.length, 1);
+  assert.ok(Math.abs(side[0].depth - 0.1) < 1e-9);
+  assert.ok(side[0].normal.sub(new Vec3(1, 0, 0)).length() < 1e-9);
+  const cap = collide(collider({ type: 'sphere', radius: 0.5 }, [0, 1.4, 0]), cylinder);
+  assert.ok(Math.abs(cap[0].depth - 0.1) < 1e-9);
+  assert.ok(cap[0].normal.sub(new Vec3(0, 1, 0)).length() < 1e-9);
+});
+
+test('rotated boxes find the same overlap from either side', () => {
+  const tilt = Quaternion.fromAxisAngle(new Vec3(0, 0, 1), Math.PI / 4);
+  const a = collider({ type: 'box', size: 1 }, [0, 1.2, 0], tilt), b = collider({ type: 'box', size: 1 }, [0, 0, 0]);
+  const ab = collide(a, b), ba = collide(b, a);
+  assert.ok(ab.length > 0);
+  const deepest = list => Math.max(...list.map(c => c.depth));
+  assert.ok(Math.abs(deepest(ab) - (0.5 + Math.SQRT1_2 - 1.2)) < 1e-6);
+  assert.ok(Math.abs(deepest(ab) - deepest(ba)) < 1e-9);
+});
+
+// --- Invariants ---
+
+test('a resting stack stays put and goes to sleep', () => {
+  const world = stack(5);
+  const start = poses(world);
+  run(world, 5);
+  world.bodies.forEach((b, i) => assert.ok(b.position.sub(Vec3.fromArray(start[i])).length() < 0.02, `box ${i} drifted`));
+  assert.ok(world.bodies.every(b => b.sleeping));
+});
+
+test('cylinders resting on their caps, on each other and on their side settle and sleep', () => {
+  const world = restingCylinders();
+  const start = poses(world);
+  run(world, 5);
+  world.bodies.forEach((b, i) => assert.ok(b.position.sub(Vec3.fromArray(start[i])).length() < 0.02, `body ${i} crept`));
+  assert.ok(world.bodies.every(b => b.invMass === 0 || b.sleeping));
+});
+
+test('a cylinder on a box gets a manifold, with speculative points inside the margin', () => {
+  const cylinder = { type: 'cylinder', radius: 0.5, height: 1 };
+  const resting = collide(collider(cylinder, [0.2, 1.49, 0]), collider({ type: 'box', size: 2 }, [0, 0, 0]));
+  assert.ok(resting.length >= 3);
+  for (const c of resting) assert.ok(Math.abs(c.depth - 0.01) < 1e-3);
+  const hovering = collide(collider(cylinder, [0, 1.51, 0]), collider({ type: 'box', size: 2 }, [0, 0, 0]), 0.02);
+  assert.ok(hovering.length >= 3 && hovering.every(c => c.depth < 0 && c.depth > -0.02));
+});
+
+test('bouncing with restitution below 1 never adds energy', () => {
+  const world = bouncingBalls(8, 0.5);
+  const start = measureWorld(world).energy;
+  let last = start;
+  run(world, 6, (w, i) => {
+    const energy = measureWorld(w).energy;
+    assert.ok(energy <= last + 1e-3 * Math.abs(start), `energy rose by ${energy - last} at step ${i}`);
+    last = energy;
+  });
+  assert.ok(last < 0.5 * start);
+});
+
+test('a falling pile never sinks far into itself', () => {
+  const world = mixedPile(100);
+  const settleFrom = Math.round(3 / world.fixedDt);
+  run(world, 4, (w, i) => {
+    const { penetration } = measureWorld(w);
+    assert.ok(penetration < (i < settleFrom ? IMPACT_PENETRATION : RESTING_PENETRATION), `penetration ${penetration} at step ${i}`);
+  });
+  assert.ok(world.bodies.every(b => b.position.y > world.groundLevel));
+});
+
+test('fast projectiles stop at thin walls with CCD and tunnel without', () => {
+  const swept = run(projectile(120, true), 0.2).bodies[1];
+  assert.ok(swept.position.x < 0, `ended at x = ${swept.position.x}`);
+  const tunnelled = run(projectile(120, false), 0.2).bodies[1];
+  assert.ok(tunnelled.position.x > 0);
+});
+
+// --- Materials ---
+
+test('a saved library with bad combine modes or values is refused and leaves the library alone', () => {
+  const library = new MaterialLibrary({ frictionCombine: 'max' });
+  const saved = library.toJSON();
+  const broken = [
+    { ...saved, restitutionCombine: 'toString' },
+    { ...saved, materials: [...saved.materials, { name: 'gum', friction: 'sticky' }] },
+    { ...saved, materials: [{ name: 'gum', density: NaN }] },
+    { ...saved, pairs: [{ a: 'steel', b: 'ice', restitution: '0.5' }] }
+  ];
+  for (const json of broken) assert.throws(() => library.load(json), /combine mode|must be a number/);
+  assert.deepEqual(library.toJSON(), saved);
+});
+
+// --- Determinism ---
+
+test('the same scene replays identically', () => {
+  assert.deepEqual(poses(run(mixedPile(40), 2)), poses(run(mixedPile(40), 2)));
+});
+
+test('a saved and reloaded scene plays out exactly as the original', () => {
+  const original = mixedPile(40);
+  const copy = createWorld();
+  loadScene(copy, readScene(JSON.stringify(serializeScene(original))));
+  assert.deepEqual(poses(run(copy, 2)), poses(run(original, 2)));
+});
+
+test('undoing an import puts back the world settings, clock and random numbers', () => {
+  const world = run(mixedPile(20), 0.5);
+  world.random.next();
+  world.removeBody(world.bodies.at(-1));
+  const before = serializeScene(world), nextBodyId = world.nextBodyId;
+  // What undo holds on to, as the front-end's worldContents does
+  const contents = { bodies: [...world.bodies], joints: [...world.joints], settings: worldSettings(world) };
+
+  const other = readScene(JSON.stringify(serializeScene(stack())));
+  Object.assign(other.world, { worldSize: 60, fixedDt: 1 / 120, seed: 99, orbitMode: true, groundLevel: -3 });
+  Object.assign(other.world.solver, { iterations: 30, warmStarting: false });
+  other.materialLibrary = { frictionCombine: 'max', restitutionCombine: 'average', materials: [{ name: 'ice', friction: 0.02 }], pairs: [] };
+  loadScene(world, other);
+  assert.equal(world.bounds.x, 60);
+
+  world.clear();
+  contents.bodies.forEach(b => world.addBody(b));
+  contents.joints.forEach(j => world.addJoint(j));
+  restoreWorldSettings(world, contents.settings);
+  assert.deepEqual(serializeScene(world), before);
+  assert.equal(world.nextBodyId, nextBodyId);
+});
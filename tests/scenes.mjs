@@ -0,0 +1,65 @@
+import { createWorld, addBody } from '../src/engine/index.js';
+
+// --- Canonical scenes ---
+// Small worlds the tests and benchmarks start from. Each builder returns a
+// fresh world, so a scene can be built twice and the runs compared.
+
+// `height` unit boxes resting on the ground, each exactly on the one below
+export function stack(height = 5) {
+  const world = createWorld({ worldSize: 20 });
+  for (let i = 0; i < height; i++) {
+    addBody(world, { shape: { type: 'box', size: 1 }, position: [0, 0.5 + i, 0], friction: 0.5, restitution: 0 });
+  }
+  return world;
+}
+
+// Cylinders at rest on a static slab: one standing, a smaller one stood on
+// it, and one lying on its side, each exactly touching what it rests on
+export function restingCylinders() {
+  const world = createWorld({ worldSize: 20 });
+  const lying = [0, 0, Math.SQRT1_2, Math.SQRT1_2];
+  addBody(world, { shape: { type: 'box', halfExtents: [5, 0.5, 3] }, position: [0, 0.5, 0], static: true });
+  addBody(world, { shape: { type: 'cylinder', radius: 0.5, height: 1 }, position: [-2, 1.5, 0] });
+  addBody(world, { shape: { type: 'cylinder', radius: 0.4, height: 0.8 }, position: [-1.9, 2.4, 0] });
+  addBody(world, { shape: { type: 'cylinder', radius: 0.5, height: 2 }, position: [2, 1.5, 0], orientation: lying });
+  return world;
+}
+
+// A row of balls dropped from different heights, bouncing with `restitution`
+export function bouncingBalls(count = 8, restitution = 0.5) {
+  const world = createWorld({ worldSize: 40 });
+  for (let i = 0; i < count; i++) {
+    addBody(world, {
+      shape: { type: 'sphere', radius: 0.5 }, position: [2 * i - count, 2 + i, 0],
+      restitution, friction: 0.3
+    });
+  }
+  return world;
+}
+
+// `count` spheres, boxes and cylinders in a loose grid above the ground, on
+// a ramp and a wall, to fall into a pile
+export function mixedPile(count = 100) {
+  const side = Math.ceil(Math.sqrt(count / 4));
+  const world = createWorld({ worldSize: Math.max(20, 2 * side + 10), seed: 7 });
+  addBody(world, { shape: { type: 'box', halfExtents: [4, 0.25, 2] }, position: [0, 1, side + 3], orientation: [0.13, 0, 0, 0.99], static: true });
+  addBody(world, { shape: { type: 'box', halfExtents: [0.25, 1.5, side] }, position: [side + 1, 1.5, 0], static: true });
+  for (let i = 0; i < count; i++) {
+    const layer = Math.floor(i / (side * side)), cell = i % (side * side);
+    const position = [2 * (cell % side) - side + 1, 1 + 1.6 * layer, 2 * Math.floor(cell / side) - side + 1];
+    const r = world.random.next();
+    const shape = i % 3 === 0 ? { type: 'sphere', radius: 0.4 + 0.2 * r }
+      : i % 3 === 1 ? { type: 'box', size: 0.6 + 0.4 * r }
+      : { type: 'cylinder', radius: 0.3 + 0.2 * r, height: 0.8 + 0.4 * r };
+    addBody(world, { shape, position, velocity: [r - 0.5, 0, 0.5 - r] });
+  }
+  return world;
+}
+
+// A small ball fired at `speed` at a thin static wall, with or without `ccd`
+export function projectile(speed = 120, ccd = true) {
+  const world = createWorld({ gravity: [0, 0, 0], worldSize: 40 });
+  addBody(world, { shape: { type: 'box', halfExtents: [0.05, 2, 2] }, position: [0, 2, 0], static: true });
+  addBody(world, { shape: { type: 'sphere', radius: 0.1 }, position: [-5, 2, 0], velocity: [speed, 0, 0], ccd });
+  return world;
+}
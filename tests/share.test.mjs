@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeScene, readScene, createField, createEmitter, addJoint } from '../src/engine/index.js';
+import { encodeScene, decodeScene } from '../src/main/storage.js';
+import { mixedPile } from './scenes.mjs';
+
+// --- Share links ---
+// Links are written by anyone, so what decodes has to be a scene that loads
+// and steps safely, or an error.
+
+function pileWithExtras() {
+  const world = mixedPile(30);
+  world.addField(createField({ type: 'explosion', position: [0, 1, 0], interval: 2 }));
+  world.addEmitter(createEmitter({ position: [0, 8, 0], rate: 5, body: { shape: { type: 'sphere', radius: 0.3 }, material: 'rubber' } }));
+  const [, , a, b, c] = world.bodies;
+  addJoint(world, { type: 'distance', a, b, rope: true });
+  addJoint(world, { type: 'spring', a: b, b: c, frequency: 3 });
+  addJoint(world, { type: 'hinge', a: c, b: null, anchor: [0, 3, 0], enableLimit: true });
+  return serializeScene(world);
+}
+
+test('a scene survives encoding unchanged in a URL-safe string', async () => {
+  const scene = pileWithExtras();
+  const text = await encodeScene(scene);
+  assert.match(text, /^[A-Za-z0-9_-]+$/);
+  assert.ok(text.length < JSON.stringify(scene).length / 4);
+  assert.deepEqual(await decodeScene(text), readScene(JSON.stringify(scene)));
+});
+
+test('truncated or garbled links are rejected', async () => {
+  const text = await encodeScene(pileWithExtras());
+  await assert.rejects(decodeScene(text.slice(0, text.length / 2)), /damaged or incomplete/);
+  await assert.rejects(decodeScene('not a scene!'), /damaged or incomplete/);
+});
+
+test('links that inflate to more than 2 MB are rejected before parsing', async () => {
+  const scene = pileWithExtras();
+  scene.settings.padding = ' '.repeat(3 * 1024 * 1024);
+  const text = await encodeScene(scene);
+  assert.ok(text.length < 10000);
+  await assert.rejects(decodeScene(text), /damaged or incomplete/);
+});
+
+test('links that would stall or break the world are rejected', async () => {
+  const scene = pileWithExtras();
+  const hostile = [
+    s => s.world.accumulator = 1e5,
+    s => s.world.substeps = 1e6,
+    s => s.world.fixedDt = 0,
+    s => s.world.fixedDt = -1 / 60,
+    s => s.world.fixedDt = 1e-9,
+    s => s.world.seed = -1,
+    s => s.world.randomState = 2.5,
+    s => s.joints[0].length = -1,
+    s => s.joints[1].frequency = Infinity,
+    s => s.joints[1].dampingRatio = -0.5,
+    s => s.joints[2].lowerAngle = 1,
+    s => s.joints[2].localAxisA = [0, 0, 0],
+    s => s.emitters[0].rate = 1e9,
+    s => s.emitters[0].maxBodies = 1e9,
+    s => s.fields[0].interval = 1e-9,
+    s => s.fields[0].radius = 'big',
+    s => s.emitters[0].body.material = 'unobtainium',
+    s => s.bodies.push(...Array(5000).fill(s.bodies[0])),
+    s => s.bodies[0].shape = { type: 'hull', vertices: Array.from({ length: 2000 }, (_, i) => [Math.cos(i), Math.sin(i), i % 2]) },
+    s => s.bodies[0].shape = { type: 'heightfield', rows: 300, cols: 300, spacing: 1, heights: Array(300 * 300).fill(0) }
+  ];
+  for (const change of hostile) {
+    const copy = structuredClone(scene);
+    change(copy);
+    await assert.rejects(decodeScene(await encodeScene(copy)), /Invalid scene file/, change.toString());
+  }
+});